@@ -23,6 +23,9 @@ const validateZipFormat = (country: string, zipCode: string) => {
   return true; // Accept any format for other countries
 };
 
+// Only US and Canadian addresses have a state or province
+const hasStateField = (values) => values.country === 'US' || values.country === 'CA';
+
 const isCityRequired = (country: string, city: string) => {
   // City is required for most countries
   return city && city.trim().length > 0;
@@ -93,6 +96,7 @@ const AddressForm = () => {
     },
     
     state: {
+      when: hasStateField, // Not validated while the field is hidden
       validations: [
         {
           isValid: partialFn(isStateRequired, formValues.country, partialFn_),
@@ -203,20 +207,22 @@ const AddressForm = () => {
           {errors.city && <div style={{ color: 'red', fontSize: '14px' }}>{errors.city}</div>}
         </div>
 
-        <div style={{ marginBottom: '15px' }}>
-          <label htmlFor="state">State/Province {(formValues.country === 'US' || formValues.country === 'CA') && '*'}</label>
-          <input
-            id="state"
-            name="state"
-            type="text"
-            value={formValues.state}
-            onChange={handleChange}
-            onBlur={handleBlur}
-            placeholder={formValues.country === 'US' ? 'NY or New York' : formValues.country === 'CA' ? 'ON or Ontario' : 'State/Province'}
-            style={{ width: '100%', padding: '8px', marginTop: '5px' }}
-          />
-          {errors.state && <div style={{ color: 'red', fontSize: '14px' }}>{errors.state}</div>}
-        </div>
+        {hasStateField(formValues) && (
+          <div style={{ marginBottom: '15px' }}>
+            <label htmlFor="state">State/Province *</label>
+            <input
+              id="state"
+              name="state"
+              type="text"
+              value={formValues.state}
+              onChange={handleChange}
+              onBlur={handleBlur}
+              placeholder={formValues.country === 'US' ? 'NY or New York' : 'ON or Ontario'}
+              style={{ width: '100%', padding: '8px', marginTop: '5px' }}
+            />
+            {errors.state && <div style={{ color: 'red', fontSize: '14px' }}>{errors.state}</div>}
+          </div>
+        )}
 
         <div style={{ marginBottom: '15px' }}>
           <label htmlFor="zipCode">Postal/Zip Code</label>
@@ -261,7 +267,7 @@ const AddressForm = () => {
           <li>Country is always required</li>
           <li>Street Address Line 1 and City are required for all countries</li>
           <li>Street Address Line 2 is optional</li>
-          <li>State/Province is required for US and Canadian addresses</li>
+          <li>State/Province is only shown, and required, for US and Canadian addresses</li>
           <li>Postal/Zip codes are validated based on country format:
             <ul>
               <li>US: 12345 or 12345-6789</li>
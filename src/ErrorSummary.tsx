@@ -0,0 +1,69 @@
+import React from 'react';
+import { focusElement } from './focus';
+import { FieldError } from './types';
+import { FormControl } from './useForm';
+import { getFieldOptions, hasFieldError } from './validation';
+
+// The messages of a field error of any `criteriaMode`.
+const toMessages = (error: FieldError): string[] => {
+    if (typeof error === 'string') {
+        return error ? [error] : [];
+    }
+    return Array.isArray(error) ? error : Object.values(error);
+};
+
+/**
+ * Lists every error of the form, including server errors, once it has been submitted, with a link to each field, in an `aria-live` region
+ * so that screen readers announce it. The links point at the ids given by `getFieldProps`, or at the first button of a radio group.
+ * Messages are prefixed with the field's `label` when it has one.
+ */
+export function ErrorSummary({
+    control,
+    title = 'There is a problem',
+    className,
+}: {
+    control: FormControl,
+    title?: React.ReactNode,
+    className?: string,
+}): React.ReactElement {
+    const { errors, serverErrors, validationOptions, submitCount, getFieldId } = control;
+
+    // A field's own errors come first; its server error shows when it has none
+    const names = Array.from(new Set([...Object.keys(errors), ...Object.keys(serverErrors)]));
+    const entries = names.flatMap((name) => {
+        const error = hasFieldError(errors[name]) ? errors[name] : serverErrors[name];
+        return error ? toMessages(error).map(message => ({ name, message })) : [];
+    });
+
+    const handleClick = (event: React.MouseEvent<HTMLAnchorElement>, name: string): void => {
+        const field = document.getElementById(getFieldId(name));
+        if (field) {
+            event.preventDefault();
+            focusElement(field);
+        }
+    };
+
+    // The region stays mounted so that the summary is announced when it appears.
+    // Each submit renders a new list, so the same errors are announced again.
+    return (
+        <div className={className} aria-live="polite">
+            {submitCount > 0 && entries.length > 0 && (
+                <div key={submitCount}>
+                    <h2>{title}</h2>
+                    <ul>
+                        {entries.map(({ name, message }) => {
+                            const label = getFieldOptions(validationOptions, name)?.label;
+                            return (
+                                <li key={`${name}:${message}`}>
+                                    <a href={`#${getFieldId(name)}`} onClick={event => handleClick(event, name)}>
+                                        {label ? `${label}: ${message}` : message}
+                                    </a>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+}
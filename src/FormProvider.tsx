@@ -0,0 +1,154 @@
+import React, { createContext, useCallback, useContext, useEffect, useLayoutEffect, useReducer, useRef, useState } from 'react';
+import { isDeepEqual } from './equality';
+import { getIn, normalizePath } from './paths';
+import { FieldError } from './types';
+import { FieldProps, InputProps, UseForm } from './useForm';
+import { getValidatedPath } from './validation';
+
+// Layout effects warn when rendered on the server, where they would not run anyway.
+const useIsomorphicLayoutEffect = typeof window === 'undefined' ? useEffect : useLayoutEffect;
+
+// Holds the latest form of a FormProvider, and tells the components below it when the form has rendered.
+interface FormStore {
+    getForm: () => UseForm<FieldError>;
+    subscribe: (listener: () => void) => () => void;
+    notify: () => void;
+}
+
+const FormContext = createContext<FormStore | undefined>(undefined);
+
+/**
+ * Shares a form returned by `useForm` with the components below it, which read it with `useField` or `useFormContext`
+ * instead of taking handlers, values and errors as props.
+ */
+export function FormProvider<E extends FieldError>({
+    form,
+    children,
+}: {
+    form: UseForm<E>,
+    children?: React.ReactNode,
+}): React.ReactElement {
+    const latestForm = useRef(form as unknown as UseForm<FieldError>);
+    latestForm.current = form as unknown as UseForm<FieldError>;
+
+    const [store] = useState<FormStore>(() => {
+        const listeners = new Set<() => void>();
+        return {
+            getForm: (): UseForm<FieldError> => latestForm.current,
+            subscribe: (listener) => {
+                listeners.add(listener);
+                return (): void => {
+                    listeners.delete(listener);
+                };
+            },
+            notify: (): void => listeners.forEach(listener => listener()),
+        };
+    });
+
+    // Components that did not render along with the form, such as memoized ones, check whether their part of it changed
+    useIsomorphicLayoutEffect(() => {
+        store.notify();
+    });
+
+    return <FormContext.Provider value={store}>{children}</FormContext.Provider>;
+}
+
+const useFormStore = (hookName: string): FormStore => {
+    const store = useContext(FormContext);
+    if (!store) {
+        throw new Error(`${hookName} must be used inside a FormProvider.`);
+    }
+    return store;
+};
+
+/** The form of the nearest `FormProvider`. The component re-renders whenever the form does. */
+export const useFormContext = <E extends FieldError = string>(): UseForm<E> => {
+    const store = useFormStore('useFormContext');
+    const [, forceRender] = useReducer((count: number) => count + 1, 0);
+    useIsomorphicLayoutEffect(() => store.subscribe(forceRender), [store]);
+    return store.getForm() as unknown as UseForm<E>;
+};
+
+// The state of one field that its component renders. Handlers are left out; `useField` gives stable ones.
+interface FieldState {
+    value: unknown;
+    error: FieldError | undefined;
+    warning: FieldError | undefined;
+    serverError: FieldError | undefined;
+    touched: boolean;
+    isValidating: boolean;
+    props: InputProps;
+}
+
+const selectField = (form: UseForm<FieldError>, name: string, options?: { type?: string, value?: string }): FieldState => {
+    // Auxiliary `nestedFieldOf` inputs show the error of their main field
+    const validatedPath = getValidatedPath(form.control.validationOptions, name);
+    return {
+        value: getIn(form.values, name),
+        error: form.errors[validatedPath],
+        warning: form.warnings[validatedPath],
+        serverError: form.serverErrors[validatedPath],
+        touched: Boolean(form.formState.touchedFields[normalizePath(name)]),
+        isValidating: Boolean(form.formState.validatingFields[validatedPath]),
+        props: form.control.getInputProps(name, options),
+    };
+};
+
+/** One field of the form of the nearest `FormProvider`, returned by `useField`. */
+export interface UseField<E extends FieldError = string> {
+    value: unknown;
+    error: E | undefined;
+    warning: E | undefined;
+    serverError: string | undefined;
+    /** The field has been blurred at least once. */
+    touched: boolean;
+    /** An async rule of the field is in flight. */
+    isValidating: boolean;
+    /** The props of `getFieldProps`, to spread onto the field's input. */
+    props: FieldProps;
+    onChange: FieldProps['onChange'];
+    onBlur: FieldProps['onBlur'];
+    /** Sets the field's value, for inputs without change events, like `handleCustomChange`. */
+    setValue: (value: unknown) => void;
+}
+
+/**
+ * The value, errors, touched state and handlers of one field of the form of the nearest `FormProvider`.
+ * The form's values live in the state of the component calling `useForm`, so the components below it re-render on every change.
+ * Wrap the component in `React.memo`: it then only re-renders when this field's state changes.
+ * Takes the same options as `getFieldProps`.
+ */
+export function useField<E extends FieldError = string>(name: string, options?: { type?: string, value?: string }): UseField<E> {
+    const store = useFormStore('useField');
+    const [, forceRender] = useReducer((count: number) => count + 1, 0);
+
+    const state = selectField(store.getForm(), name, options);
+    const latestState = useRef(state);
+    latestState.current = state;
+    const latestOptions = useRef(options);
+    latestOptions.current = options;
+
+    useIsomorphicLayoutEffect(() => store.subscribe(() => {
+        if (!isDeepEqual(selectField(store.getForm(), name, latestOptions.current), latestState.current)) {
+            forceRender();
+        }
+    }), [store, name]);
+
+    // The handlers call the latest form, so that a component that has not re-rendered validates against the current values
+    const onChange = useCallback<FieldProps['onChange']>(event => store.getForm().handleChange(event), [store]);
+    const onBlur = useCallback<FieldProps['onBlur']>(event => store.getForm().handleBlur(event), [store]);
+    const setValue = useCallback((value: unknown) => store.getForm().handleCustomChange(name, value), [store, name]);
+
+    return {
+        value: state.value,
+        error: state.error as E | undefined,
+        warning: state.warning as E | undefined,
+        serverError: state.serverError as string | undefined,
+        touched: state.touched,
+        isValidating: state.isValidating,
+        props: { ...state.props, onChange, onBlur },
+        onChange,
+        onBlur,
+        setValue,
+    };
+}
@@ -0,0 +1,32 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { createTranslator, mergeCatalogs, MessageCatalogs, Translate } from './i18n';
+import { defaultCatalogs } from './locales';
+
+const LocaleContext = createContext<Translate | undefined>(undefined);
+
+/**
+ * Provides the locale that `useForm` uses to resolve the messages of `messageKey` rules.
+ * `catalogs` are added to the bundled catalogs of the built-in validators.
+ * Pass stable `catalogs` and `fallbackLocales` (declared outside the component or memoized): a new value re-translates every form below.
+ */
+export function LocaleProvider({
+    locale,
+    catalogs,
+    fallbackLocales,
+    children,
+}: {
+    locale: string,
+    catalogs?: MessageCatalogs,
+    fallbackLocales?: string[],
+    children?: React.ReactNode,
+}): React.ReactElement {
+    const translate = useMemo(
+        () => createTranslator({ locale, catalogs: mergeCatalogs(defaultCatalogs, catalogs), fallbackLocales }),
+        [locale, catalogs, fallbackLocales],
+    );
+
+    return <LocaleContext.Provider value={translate}>{children}</LocaleContext.Provider>;
+}
+
+/** The `Translate` function of the nearest `LocaleProvider`, or `undefined` outside of one. */
+export const useTranslate = (): Translate | undefined => useContext(LocaleContext);
@@ -0,0 +1,47 @@
+// React-free entry point: the validation engine, validators and helpers, for use on the server.
+// Import it as `@rorsach/sonic-form/core`.
+
+// Validation engine
+export { validateField, validateForm } from './validation';
+
+// TypeScript interfaces
+export type {
+  ValidationOption,
+  Validation,
+  ValidationContext,
+  ValidationMode,
+  FormValues,
+  FormErrors,
+  CriteriaMode,
+  FieldError,
+  FieldErrorFor,
+  RuleErrors,
+  MessageParams,
+  ErrorMessageFn,
+  Rule,
+  RuleMeta,
+  Mask,
+} from './types';
+export type { ValidationOptions, ValidateFieldOptions, FieldValidationResult, FormValidationResult } from './validation';
+
+// Message templates and locale catalogs
+export { interpolate } from './messages';
+export { createTranslator, mergeCatalogs } from './i18n';
+export { defaultCatalogs } from './locales';
+export type { Translate, MessageCatalog, MessageCatalogs, PluralMessage } from './i18n';
+
+// Field errors from API error responses
+export { parseServerErrors, problemDetailsErrors, fieldMessageErrors } from './serverErrors';
+export type { ServerErrorAdapter } from './serverErrors';
+
+// Input masks
+export { applyMask, unmask } from './masks';
+
+// Partial application utility
+export { partialFn, partialFn_, partialFnWithFields } from './partialFn';
+
+// Field path helpers for nested form values
+export { getIn, setIn, normalizePath } from './paths';
+
+// Common validators and validation helper functions
+export * from './validators';
@@ -0,0 +1,55 @@
+import { formatPath } from './paths';
+
+// Comparing form values with their initial state, to tell which fields the user has changed.
+
+const isPlainObject = (value: unknown): value is { [key: string]: unknown } =>
+    value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isContainer = (value: unknown): boolean => Array.isArray(value) || isPlainObject(value);
+
+/** Whether two form values are equal. Arrays and plain objects are compared by their contents, `Date`s by their time. */
+export const isDeepEqual = (a: unknown, b: unknown): boolean => {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isDeepEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => key in b && isDeepEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * The paths of the values that differ between `previous` and `next`, down to their leaves: `address.city`, `items[1].qty`.
+ * A value that changed shape, such as an object replaced by a string, is reported at its own path.
+ */
+export const getChangedPaths = (previous: unknown, next: unknown): string[] => {
+    const walk = (a: unknown, b: unknown, segments: string[]): string[] => {
+        // Arrays and plain objects are walked into, and so is the side where one of them is missing
+        const canWalk = (isContainer(a) || a === undefined)
+            && (isContainer(b) || b === undefined)
+            && !(a === undefined && b === undefined)
+            && (a === undefined || b === undefined || Array.isArray(a) === Array.isArray(b));
+        if (!canWalk) {
+            return isDeepEqual(a, b) ? [] : [formatPath(segments)];
+        }
+
+        const keys = new Set([
+            ...Object.keys((a ?? {}) as object),
+            ...Object.keys((b ?? {}) as object),
+        ]);
+        return Array.from(keys).flatMap(key => walk(
+            (a as { [key: string]: unknown } | undefined)?.[key],
+            (b as { [key: string]: unknown } | undefined)?.[key],
+            [...segments, key],
+        ));
+    };
+
+    return walk(previous, next, []);
+};
@@ -0,0 +1,103 @@
+// Reading and writing the values of form elements, by their type of input.
+
+/** An element `handleChange` and `register` work with. */
+export type FieldElement = HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement;
+
+/**
+ * Whether a checkbox is one of a group, whose field holds the values of the checked boxes rather than a boolean.
+ * A box is taken as one of a group when the field already holds an array, or, while the field holds no value yet,
+ * when other inputs of its form (or of the page, outside a form) share its name. A field holding a boolean stays one.
+ */
+export const isCheckboxGroup = (target: FieldElement, currentValue: unknown): boolean => {
+    if (target.type !== 'checkbox' || typeof currentValue === 'boolean') {
+        return false;
+    }
+    if (Array.isArray(currentValue)) {
+        return true;
+    }
+    const named = target.form
+        ? target.form.elements.namedItem(target.name) as RadioNodeList | Element | null
+        : target.ownerDocument?.getElementsByName(target.name);
+    return Boolean(named && 'length' in named && named.length > 1);
+};
+
+/** The values of a checkbox group once one of its boxes is checked or unchecked. */
+export const setGroupMembership = (groupValue: unknown, optionValue: string, checked: boolean): string[] => {
+    // Set, rather than toggle, membership so that blur events leave the group as it is
+    const others = (Array.isArray(groupValue) ? groupValue : []).filter(value => value !== optionValue);
+    return checked ? [...others, optionValue] : others;
+};
+
+/**
+ * The value an element holds, by its type of input:
+ * - checkbox: `checked`, or for a group of checkboxes (see `isCheckboxGroup`) the values of the checked boxes
+ * - `<select multiple>`: the values of the selected options
+ * - file: the selected `File`s as an array
+ * - number and range: `valueAsNumber`, or `null` while the input is empty
+ * - anything else: `value`
+ * `currentValue` is the field's value before the element changed.
+ */
+export const getEventValue = (target: FieldElement, currentValue: unknown): unknown => {
+    if (target.type === 'select-multiple') {
+        return Array.from((target as HTMLSelectElement).options)
+            .filter(option => option.selected)
+            .map(option => option.value);
+    }
+
+    const input = target as HTMLInputElement;
+    switch (input.type) {
+        case 'checkbox':
+            return isCheckboxGroup(input, currentValue) ? setGroupMembership(currentValue, input.value, input.checked) : input.checked;
+        case 'file':
+            return Array.from(input.files ?? []);
+        case 'number':
+        case 'range':
+            return Number.isNaN(input.valueAsNumber) ? null : input.valueAsNumber;
+        default:
+            return input.value;
+    }
+};
+
+/**
+ * The value of a field from all of its elements: the value of the checked radio button (`null` when none is),
+ * the values of the checked boxes of a checkbox group, or the value of its only element.
+ */
+export const readFieldElements = (elements: FieldElement[], currentValue: unknown): unknown => {
+    const [first] = elements;
+    if (first.type === 'radio') {
+        return (elements as HTMLInputElement[]).find(element => element.checked)?.value ?? null;
+    }
+    if (first.type === 'checkbox' && ((elements.length > 1 && typeof currentValue !== 'boolean') || isCheckboxGroup(first, currentValue))) {
+        return (elements as HTMLInputElement[]).filter(element => element.checked).map(element => element.value);
+    }
+    return getEventValue(first, currentValue);
+};
+
+/** Shows a value in an element, given the `value` or `checked` state that `getFieldProps` would give it. */
+export const writeFieldElement = (
+    element: FieldElement,
+    { value, checked }: { value?: string | number | readonly string[], checked?: boolean },
+): void => {
+    if (checked !== undefined) {
+        (element as HTMLInputElement).checked = checked;
+    } else if (element.type === 'select-multiple') {
+        const selected = Array.isArray(value) ? value : [];
+        for (const option of Array.from((element as HTMLSelectElement).options)) {
+            option.selected = selected.includes(option.value);
+        }
+    } else if (element.type === 'file') {
+        // File inputs can only be cleared
+        element.value = '';
+    } else {
+        element.value = String(value ?? '');
+    }
+};
+
+/**
+ * Whether an element takes no input: it is disabled, also by a disabled `<fieldset>`, or read-only.
+ * Change events built by hand, such as `{ target: { name, value } }`, may hold a plain object, which is taken as it is.
+ */
+export const isInactiveElement = (element: Element): boolean => {
+    const { disabled, readOnly } = element as HTMLInputElement;
+    return Boolean(disabled || readOnly) || (typeof element.matches === 'function' && element.matches(':disabled'));
+};
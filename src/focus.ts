@@ -0,0 +1,13 @@
+// Moving focus to fields with errors, for keyboard and screen reader users.
+
+/** Scrolls an element into the middle of the viewport and focuses it. */
+export const focusElement = (element: HTMLElement): void => {
+    element.scrollIntoView?.({ block: 'center' });
+    element.focus({ preventScroll: true });
+};
+
+/** The first element under `root`, in DOM order, whose `name` attribute passes `isInvalid`. Hidden inputs are skipped. */
+export const findFirstField = (root: ParentNode, isInvalid: (name: string) => boolean): HTMLElement | undefined =>
+    Array.from(root.querySelectorAll<HTMLElement>('[name]')).find(element =>
+        (element as HTMLInputElement).type !== 'hidden' && isInvalid(element.getAttribute('name') as string),
+    );
@@ -0,0 +1,79 @@
+import { defaultCatalogs } from './locales';
+import { MessageParams } from './types';
+
+// Locale catalogs for message-key rules. A rule with a `messageKey` looks its message up
+// in the catalog of the current locale instead of using its `errorMessage`.
+
+/** A message whose wording depends on `params.count`, one form per plural category. */
+export type PluralMessage = { [category in Intl.LDMLPluralRule]?: string } & { other: string };
+
+/** Messages of one locale, keyed by message key. */
+export interface MessageCatalog {
+    [key: string]: string | PluralMessage;
+}
+
+/** Catalogs keyed by locale, e.g. `{ en: {...}, 'fr-CA': {...} }`. */
+export interface MessageCatalogs {
+    [locale: string]: MessageCatalog;
+}
+
+/** Returns the message template for a key, or `undefined` when no catalog in the fallback chain has it. */
+export type Translate = (key: string, params?: MessageParams) => string | undefined;
+
+/** Adds the messages of `overrides` to `catalogs`, locale by locale. */
+export const mergeCatalogs = (catalogs: MessageCatalogs, overrides: MessageCatalogs = {}): MessageCatalogs => {
+    const merged: MessageCatalogs = { ...catalogs };
+    for (const locale in overrides) {
+        merged[locale] = { ...merged[locale], ...overrides[locale] };
+    }
+    return merged;
+};
+
+// `fr-CA` falls back to `fr`, then to the given fallback locales.
+const getLocaleChain = (locale: string, fallbackLocales: string[]): string[] => {
+    const chain = [locale];
+    const language = locale.split('-')[0];
+    if (language !== locale) {
+        chain.push(language);
+    }
+    return Array.from(new Set([...chain, ...fallbackLocales]));
+};
+
+const selectPluralForm = (message: PluralMessage, locale: string, params?: MessageParams): string => {
+    const count = Number(params?.count);
+    if (isNaN(count)) {
+        return message.other;
+    }
+    if (count === 0 && message.zero !== undefined) {
+        return message.zero;
+    }
+    const category = new Intl.PluralRules(locale).select(count);
+    return message[category] ?? message.other;
+};
+
+/**
+ * Creates a `Translate` function for a locale.
+ * Catalogs default to the bundled messages for the built-in validators; pass `mergeCatalogs(defaultCatalogs, yours)` to add your own.
+ * Keys missing from the locale are looked up in its base language, then in each of the `fallbackLocales`.
+ */
+export function createTranslator({
+    locale,
+    catalogs = defaultCatalogs,
+    fallbackLocales = ['en'],
+}: {
+    locale: string,
+    catalogs?: MessageCatalogs,
+    fallbackLocales?: string[],
+}): Translate {
+    const chain = getLocaleChain(locale, fallbackLocales);
+
+    return (key: string, params?: MessageParams): string | undefined => {
+        for (const candidate of chain) {
+            const message = catalogs[candidate]?.[key];
+            if (message !== undefined) {
+                return typeof message === 'string' ? message : selectPluralForm(message, candidate, params);
+            }
+        }
+        return undefined;
+    };
+}
@@ -1,16 +1,76 @@
 // Main form validation hook
 export { useForm } from './useForm';
 
+// Validation engine, also available without React from `@rorsach/sonic-form/core`
+export { validateField, validateForm } from './validation';
+
+// Locale for message-key rules
+export { LocaleProvider, useTranslate } from './LocaleProvider';
+
+// Sharing a form with nested components, which subscribe to the fields they show
+export { FormProvider, useField, useFormContext } from './FormProvider';
+export type { UseField } from './FormProvider';
+
+// Accessible list of the errors of a submitted form
+export { ErrorSummary } from './ErrorSummary';
+
+// Repeated groups of fields
+export { useFieldArray } from './useFieldArray';
+
 // TypeScript interfaces
 export type {
   ValidationOption,
   Validation,
+  ValidationContext,
+  ValidationMode,
   FormValues,
   FormErrors,
+  CriteriaMode,
+  FieldError,
+  FieldErrorFor,
+  RuleErrors,
+  MessageParams,
+  ErrorMessageFn,
+  Rule,
+  RuleMeta,
+  Mask,
+} from './types';
+export type {
+  UseForm,
+  FormControl,
+  FormState,
+  FieldFlags,
+  FieldProps,
+  InputProps,
+  ErrorProps,
+  RegisterProps,
+  HandleSubmit,
+  SubmitHandler,
+  InvalidSubmitHandler,
+  ResetOptions,
 } from './useForm';
+export type { ValidationOptions, ValidateFieldOptions, FieldValidationResult, FormValidationResult } from './validation';
+export type { UseFieldArray, FieldArrayItem } from './useFieldArray';
+export type { FieldElement } from './fieldElements';
+
+// Message templates and locale catalogs
+export { interpolate } from './messages';
+export { createTranslator, mergeCatalogs } from './i18n';
+export { defaultCatalogs } from './locales';
+export type { Translate, MessageCatalog, MessageCatalogs, PluralMessage } from './i18n';
+
+// Field errors from API error responses
+export { parseServerErrors, problemDetailsErrors, fieldMessageErrors } from './serverErrors';
+export type { ServerErrorAdapter } from './serverErrors';
+
+// Input masks
+export { applyMask, unmask } from './masks';
 
 // Partial application utility
 export { partialFn, partialFn_, partialFnWithFields } from './partialFn';
 
+// Field path helpers for nested form values
+export { getIn, setIn, normalizePath } from './paths';
+
 // Common validators and validation helper functions
 export * from './validators';
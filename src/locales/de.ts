@@ -0,0 +1,45 @@
+import { MessageCatalog } from '../i18n';
+
+/** German messages for the built-in validators, keyed by validator name. */
+export const de: MessageCatalog = {
+    isRequired: 'Dieses Feld ist erforderlich',
+    hasMinLength: { one: 'Muss mindestens {count} Zeichen lang sein', other: 'Muss mindestens {count} Zeichen lang sein' },
+    hasMaxLength: { one: 'Darf höchstens {count} Zeichen lang sein', other: 'Darf höchstens {count} Zeichen lang sein' },
+    isAsciiAlphanumeric: 'Nur Buchstaben und Ziffern sind erlaubt',
+    isAlphaOnly: 'Nur Buchstaben sind erlaubt',
+    isNumericOnly: 'Nur Ziffern sind erlaubt',
+    isValidName: 'Nur Buchstaben, Leerzeichen, Bindestriche und Apostrophe sind erlaubt',
+    isValidStreetAddress: 'Geben Sie eine gültige Adresse ein',
+    isValidUSZipCode: 'Geben Sie eine gültige ZIP-Postleitzahl ein',
+    isValidCanadianPostalCode: 'Geben Sie eine gültige Postleitzahl ein, z. B. A1A 1A1',
+    isValidHexColor: 'Geben Sie eine gültige Hex-Farbe ein, z. B. #FF0000',
+    isValidTime: 'Geben Sie eine gültige Uhrzeit ein, z. B. 14:30',
+    matchesPattern: 'Ungültiges Format',
+    isValidEmail: 'Geben Sie eine gültige E-Mail-Adresse ein',
+    isValidURL: 'Geben Sie eine gültige URL ein',
+    isValidUSPhone: 'Geben Sie eine gültige US-Telefonnummer ein',
+    isValidInternationalPhone: 'Geben Sie eine gültige Telefonnummer ein',
+    isBefore: 'Muss vor dem {date} liegen',
+    isWithinLastYear: 'Muss innerhalb des letzten Jahres liegen',
+    isInTheFuture: 'Muss in der Zukunft liegen',
+    isBirthDateMinimumAge: { one: 'Sie müssen mindestens {count} Jahr alt sein', other: 'Sie müssen mindestens {count} Jahre alt sein' },
+    isValidUSState: 'Geben Sie einen gültigen US-Bundesstaat ein',
+    isValidCanadianProvince: 'Geben Sie eine gültige kanadische Provinz ein',
+    isInteger: 'Muss eine ganze Zahl sein',
+    isDecimal: 'Muss eine Zahl sein',
+    isInRange: 'Muss zwischen {min} und {max} liegen',
+    greaterThan: 'Muss größer als {min} sein',
+    lessThan: 'Muss kleiner als {max} sein',
+    greaterThanOrEqual: 'Muss mindestens {min} sein',
+    lessThanOrEqual: 'Darf höchstens {max} sein',
+    isStrongPassword: 'Das Passwort ist nicht sicher genug',
+    isValidCreditCard: 'Geben Sie eine gültige Kartennummer ein',
+    isValidCreditCardExpiry: 'Geben Sie ein gültiges Ablaufdatum ein, z. B. MM/JJ',
+    isValidCVV: 'Geben Sie einen gültigen Sicherheitscode ein',
+    hasMinItems: { one: 'Fügen Sie mindestens {count} Eintrag hinzu', other: 'Fügen Sie mindestens {count} Einträge hinzu' },
+    hasMaxItems: { one: 'Fügen Sie höchstens {count} Eintrag hinzu', other: 'Fügen Sie höchstens {count} Einträge hinzu' },
+    isRequiredIf: 'Dieses Feld ist erforderlich',
+    isEqual: 'Muss {expected} sein',
+    isOneOf: 'Wählen Sie einen der erlaubten Werte',
+    isSameAs: 'Die Werte stimmen nicht überein',
+};
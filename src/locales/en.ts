@@ -0,0 +1,45 @@
+import { MessageCatalog } from '../i18n';
+
+/** English messages for the built-in validators, keyed by validator name. */
+export const en: MessageCatalog = {
+    isRequired: 'This field is required',
+    hasMinLength: { one: 'Must be at least {count} character', other: 'Must be at least {count} characters' },
+    hasMaxLength: { one: 'Must be at most {count} character', other: 'Must be at most {count} characters' },
+    isAsciiAlphanumeric: 'Only letters and numbers are allowed',
+    isAlphaOnly: 'Only letters are allowed',
+    isNumericOnly: 'Only numbers are allowed',
+    isValidName: 'Only letters, spaces, hyphens and apostrophes are allowed',
+    isValidStreetAddress: 'Enter a valid street address',
+    isValidUSZipCode: 'Enter a valid ZIP code',
+    isValidCanadianPostalCode: 'Enter a valid postal code, e.g. A1A 1A1',
+    isValidHexColor: 'Enter a valid hex color, e.g. #FF0000',
+    isValidTime: 'Enter a valid time, e.g. 14:30',
+    matchesPattern: 'Invalid format',
+    isValidEmail: 'Enter a valid email address',
+    isValidURL: 'Enter a valid URL',
+    isValidUSPhone: 'Enter a valid US phone number',
+    isValidInternationalPhone: 'Enter a valid phone number',
+    isBefore: 'Must be before {date}',
+    isWithinLastYear: 'Must be within the last year',
+    isInTheFuture: 'Must be in the future',
+    isBirthDateMinimumAge: { one: 'You must be at least {count} year old', other: 'You must be at least {count} years old' },
+    isValidUSState: 'Enter a valid US state code',
+    isValidCanadianProvince: 'Enter a valid Canadian province code',
+    isInteger: 'Must be a whole number',
+    isDecimal: 'Must be a number',
+    isInRange: 'Must be between {min} and {max}',
+    greaterThan: 'Must be greater than {min}',
+    lessThan: 'Must be less than {max}',
+    greaterThanOrEqual: 'Must be {min} or more',
+    lessThanOrEqual: 'Must be {max} or less',
+    isStrongPassword: 'Password is not strong enough',
+    isValidCreditCard: 'Enter a valid card number',
+    isValidCreditCardExpiry: 'Enter a valid expiry date, e.g. MM/YY',
+    isValidCVV: 'Enter a valid security code',
+    hasMinItems: { one: 'Add at least {count} item', other: 'Add at least {count} items' },
+    hasMaxItems: { one: 'Add no more than {count} item', other: 'Add no more than {count} items' },
+    isRequiredIf: 'This field is required',
+    isEqual: 'Must be {expected}',
+    isOneOf: 'Choose one of the allowed values',
+    isSameAs: 'Values do not match',
+};
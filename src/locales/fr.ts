@@ -0,0 +1,45 @@
+import { MessageCatalog } from '../i18n';
+
+/** French messages for the built-in validators, keyed by validator name. */
+export const fr: MessageCatalog = {
+    isRequired: 'Ce champ est obligatoire',
+    hasMinLength: { one: 'Doit contenir au moins {count} caractère', other: 'Doit contenir au moins {count} caractères' },
+    hasMaxLength: { one: 'Doit contenir au plus {count} caractère', other: 'Doit contenir au plus {count} caractères' },
+    isAsciiAlphanumeric: 'Seuls les lettres et les chiffres sont autorisés',
+    isAlphaOnly: 'Seules les lettres sont autorisées',
+    isNumericOnly: 'Seuls les chiffres sont autorisés',
+    isValidName: 'Seuls les lettres, espaces, traits d’union et apostrophes sont autorisés',
+    isValidStreetAddress: 'Saisissez une adresse valide',
+    isValidUSZipCode: 'Saisissez un code ZIP valide',
+    isValidCanadianPostalCode: 'Saisissez un code postal valide, par ex. A1A 1A1',
+    isValidHexColor: 'Saisissez une couleur hexadécimale valide, par ex. #FF0000',
+    isValidTime: 'Saisissez une heure valide, par ex. 14:30',
+    matchesPattern: 'Format invalide',
+    isValidEmail: 'Saisissez une adresse e-mail valide',
+    isValidURL: 'Saisissez une URL valide',
+    isValidUSPhone: 'Saisissez un numéro de téléphone américain valide',
+    isValidInternationalPhone: 'Saisissez un numéro de téléphone valide',
+    isBefore: 'Doit être antérieur au {date}',
+    isWithinLastYear: 'Doit dater de moins d’un an',
+    isInTheFuture: 'Doit être dans le futur',
+    isBirthDateMinimumAge: { one: 'Vous devez avoir au moins {count} an', other: 'Vous devez avoir au moins {count} ans' },
+    isValidUSState: 'Saisissez un code d’État américain valide',
+    isValidCanadianProvince: 'Saisissez un code de province canadienne valide',
+    isInteger: 'Doit être un nombre entier',
+    isDecimal: 'Doit être un nombre',
+    isInRange: 'Doit être compris entre {min} et {max}',
+    greaterThan: 'Doit être supérieur à {min}',
+    lessThan: 'Doit être inférieur à {max}',
+    greaterThanOrEqual: 'Doit être supérieur ou égal à {min}',
+    lessThanOrEqual: 'Doit être inférieur ou égal à {max}',
+    isStrongPassword: 'Le mot de passe n’est pas assez robuste',
+    isValidCreditCard: 'Saisissez un numéro de carte valide',
+    isValidCreditCardExpiry: 'Saisissez une date d’expiration valide, par ex. MM/AA',
+    isValidCVV: 'Saisissez un code de sécurité valide',
+    hasMinItems: { one: 'Ajoutez au moins {count} élément', other: 'Ajoutez au moins {count} éléments' },
+    hasMaxItems: { one: 'Ajoutez au plus {count} élément', other: 'Ajoutez au plus {count} éléments' },
+    isRequiredIf: 'Ce champ est obligatoire',
+    isEqual: 'Doit valoir {expected}',
+    isOneOf: 'Choisissez l’une des valeurs autorisées',
+    isSameAs: 'Les valeurs ne correspondent pas',
+};
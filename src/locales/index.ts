@@ -0,0 +1,9 @@
+import { MessageCatalogs } from '../i18n';
+import { de } from './de';
+import { en } from './en';
+import { fr } from './fr';
+
+/** Messages for the built-in validators in every bundled locale. */
+export const defaultCatalogs: MessageCatalogs = { en, fr, de };
+
+export { en, fr, de };
@@ -0,0 +1,107 @@
+import { Mask } from './types';
+
+// As-you-type input masks. A pattern is made of slots and literals: `9` takes a digit, `A` a letter and `*` a letter
+// or a digit. Any other character, or one escaped with a backslash, is a literal that the mask inserts: `(999) 999-9999`.
+// The value kept in `formValues` is the unmasked one, the characters in the slots: `5551234567`.
+
+const SLOTS: { [key: string]: RegExp } = {
+    '9': /\d/,
+    A: /[A-Za-z]/,
+    '*': /[A-Za-z\d]/,
+};
+
+type Token = { literal: string } | { accepts: RegExp };
+
+const tokenize = (pattern: string): Token[] => {
+    const tokens: Token[] = [];
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '\\' && i + 1 < pattern.length) {
+            tokens.push({ literal: pattern[++i] });
+        } else {
+            tokens.push(SLOTS[pattern[i]] ? { accepts: SLOTS[pattern[i]] } : { literal: pattern[i] });
+        }
+    }
+    return tokens;
+};
+
+// The pattern of a mask, chosen by dynamic masks from the letters and digits typed so far.
+const resolvePattern = (mask: Mask, text: string): string =>
+    (typeof mask === 'function' ? mask(text.replace(/[^A-Za-z\d]/g, '')) : mask);
+
+interface Conformed {
+    masked: string;
+    unmasked: string;
+    /** The position in `masked` just after each filled slot. */
+    slotEnds: number[];
+}
+
+// Fits text into a pattern. In masked text, a character standing where the pattern has that literal is taken as the literal;
+// unmasked text only fills slots. Characters that fit no slot are dropped, and the text ends at its last filled slot.
+const conform = (text: string, pattern: string, isUnmasked: boolean): Conformed => {
+    let masked = '';
+    let unmasked = '';
+    const slotEnds: number[] = [];
+    let position = 0;
+
+    for (const token of tokenize(pattern)) {
+        if (position >= text.length) {
+            break;
+        }
+        if ('literal' in token) {
+            masked += token.literal;
+            if (!isUnmasked && text[position] === token.literal) {
+                position++;
+            }
+            continue;
+        }
+        while (position < text.length && !token.accepts.test(text[position])) {
+            position++;
+        }
+        if (position < text.length) {
+            masked += text[position];
+            unmasked += text[position];
+            slotEnds.push(masked.length);
+            position++;
+        }
+    }
+
+    return { masked: masked.slice(0, slotEnds[slotEnds.length - 1] ?? 0), unmasked, slotEnds };
+};
+
+/** The text to show for an unmasked value: `(555) 123-4567` for `5551234567`. */
+export const applyMask = (value: string, mask: Mask): string =>
+    conform(value, resolvePattern(mask, value), true).masked;
+
+/** The unmasked value of masked text: `5551234567` for `(555) 123-4567`. */
+export const unmask = (text: string, mask: Mask): string =>
+    conform(text, resolvePattern(mask, text), false).unmasked;
+
+/**
+ * Masks the text of an input after the user changed it, and moves the caret to just after the character it followed.
+ * `previous` is the unmasked value before the change. A change that only deleted literals, such as backspacing over
+ * the `-` of a phone number, deletes the slot character before the caret instead, or masking would put the literal back.
+ */
+export const maskInput = (
+    text: string,
+    caret: number,
+    mask: Mask,
+    previous: string,
+): { masked: string, unmasked: string, caret: number } => {
+    const pattern = resolvePattern(mask, text);
+    let unmasked = conform(text, pattern, false).unmasked;
+    let slotsBeforeCaret = conform(text.slice(0, caret), pattern, false).unmasked.length;
+
+    if (unmasked === previous && text.length < applyMask(previous, mask).length && slotsBeforeCaret > 0) {
+        unmasked = unmasked.slice(0, slotsBeforeCaret - 1) + unmasked.slice(slotsBeforeCaret);
+        slotsBeforeCaret--;
+    }
+
+    const { masked, slotEnds } = conform(unmasked, resolvePattern(mask, unmasked), true);
+    const filledSlots = Math.min(slotsBeforeCaret, slotEnds.length);
+    return {
+        masked,
+        unmasked,
+        // Before any slot is filled, the caret goes after the leading literals
+        caret: filledSlots === 0 ? Math.max(0, (slotEnds[0] ?? 1) - 1) : slotEnds[filledSlots - 1],
+    };
+};
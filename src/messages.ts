@@ -0,0 +1,55 @@
+import { createTranslator, Translate } from './i18n';
+import { FormValues, Validation } from './types';
+
+// Without a locale, message keys resolve against the bundled English catalog.
+const translateDefault = createTranslator({ locale: 'en' });
+
+const PLACEHOLDER = /\{([^{}]+)\}/g;
+
+// The message of a rule whose message could not be worded.
+const FALLBACK_MESSAGE = 'Validation failed';
+
+/**
+ * Fills `{name}` placeholders in a message template. A placeholder names one of the rule's `params`, or `value`
+ * for the validated value. Other placeholders, and those that resolve to nothing, are left as they are.
+ */
+export const interpolate = (
+    template: string,
+    value: unknown,
+    params: { [key: string]: unknown } = {},
+): string => template.replace(PLACEHOLDER, (placeholder, name: string) => {
+    const key = name.trim();
+    let replacement: unknown;
+    if (key in params) {
+        replacement = params[key];
+    } else if (key === 'value') {
+        replacement = value;
+    }
+    return replacement === undefined || replacement === null ? placeholder : String(replacement);
+});
+
+/**
+ * The message of a failing rule. Its `messageKey` is looked up with `translate` first; the `errorMessage`
+ * function or template is the fallback. Templates are interpolated with the rule's `params`.
+ * An `errorMessage` function that throws gives a generic message, so that validation still completes.
+ */
+export const resolveMessage = (
+    validation: Validation,
+    value: unknown,
+    formValues: FormValues,
+    translate: Translate = translateDefault,
+): string => {
+    const params = validation.params || {};
+    const translated = validation.messageKey ? translate(validation.messageKey, params) : undefined;
+    if (translated === undefined && typeof validation.errorMessage === 'function') {
+        try {
+            return validation.errorMessage(value, formValues, params);
+        } catch (error) {
+            console.error('Error message function failed:', error);
+            return FALLBACK_MESSAGE;
+        }
+    }
+
+    const template = translated ?? validation.errorMessage;
+    return typeof template === 'string' && template ? interpolate(template, value, params) : '';
+};
@@ -1,3 +1,5 @@
+import { getIn } from './paths';
+
 // Placeholder for partial application
 export const partialFn_ = Symbol('placeholder');
 
@@ -31,8 +33,8 @@ export function partialFnWithFields<T extends (...args: unknown[]) => unknown>(f
         // Resolve field references in boundArgs
         const resolvedArgs = boundArgs.map(arg => {
             if (typeof arg === 'string' && arg.startsWith('@') && formValues) {
-                const fieldName = arg.slice(1);
-                return formValues[fieldName];
+                // Field references may be paths into nested values, e.g. '@address.country'
+                return getIn(formValues, arg.slice(1));
             }
             return arg;
         });
@@ -0,0 +1,187 @@
+// Field paths address nested form values with dots and brackets: `address.city`, `items[2].qty`.
+// An empty bracket is a wildcard that matches any array index: `items[].qty`.
+
+/** Path segment standing in for any array index. */
+export const WILDCARD = '[]';
+
+const PATH_SEGMENT = /\[(\d*)\]|[^.[\]]+/g;
+
+const isIndex = (segment: string): boolean => /^\d+$/.test(segment);
+
+/** Splits a field path into its segments. Wildcards are returned as `WILDCARD`. */
+export const toPath = (path: string): string[] => {
+    const segments: string[] = [];
+    for (const match of path.matchAll(PATH_SEGMENT)) {
+        if (match[1] === undefined) {
+            segments.push(match[0]);
+        } else {
+            segments.push(match[1] === '' ? WILDCARD : match[1]);
+        }
+    }
+    return segments;
+};
+
+/** Joins path segments back into a path, putting array indices in brackets. */
+export const formatPath = (segments: string[]): string =>
+    segments.reduce((path, segment) => {
+        if (segment === WILDCARD) {
+            return `${path}[]`;
+        }
+        if (isIndex(segment)) {
+            return `${path}[${segment}]`;
+        }
+        return path ? `${path}.${segment}` : segment;
+    }, '');
+
+/** Canonical form of a path, so that `items.2.qty` and `items[2].qty` name the same field. */
+export const normalizePath = (path: string): string => formatPath(toPath(path));
+
+/** Reads the value at `path`, or `undefined` when any part of it is missing. */
+export const getIn = (values: unknown, path: string): unknown => {
+    let current = values;
+    for (const segment of toPath(path)) {
+        if (current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        current = (current as { [key: string]: unknown })[segment];
+    }
+    return current;
+};
+
+/** Returns a copy of `values` with `value` written at `path`. Missing objects and arrays along the way are created. */
+export const setIn = <T>(values: T, path: string, value: unknown): T => {
+    const write = (current: unknown, segments: string[]): unknown => {
+        if (segments.length === 0) {
+            return value;
+        }
+
+        const [segment, ...rest] = segments;
+        if (Array.isArray(current)) {
+            const copy = current.slice();
+            copy[Number(segment)] = write(current[Number(segment)], rest);
+            return copy;
+        }
+
+        const existing = current !== null && typeof current === 'object' ? current as { [key: string]: unknown } : undefined;
+        if (!existing && isIndex(segment)) {
+            const created: unknown[] = [];
+            created[Number(segment)] = write(undefined, rest);
+            return created;
+        }
+
+        return { ...existing, [segment]: write(existing?.[segment], rest) };
+    };
+
+    return write(values, toPath(path)) as T;
+};
+
+/** Whether `path` is `ancestor` itself or lies inside it, as `items[2].qty` lies inside `items`. */
+export const isPathWithin = (path: string, ancestor: string): boolean => {
+    const segments = toPath(path);
+    const prefix = toPath(ancestor);
+    return prefix.length <= segments.length && prefix.every((segment, i) => segments[i] === segment);
+};
+
+/**
+ * Matches a concrete path against a pattern that may contain wildcards.
+ * Returns the array indices the wildcards stood for, or `null` when the path does not match.
+ */
+export const matchPath = (pattern: string, path: string): string[] | null => {
+    const patternSegments = toPath(pattern);
+    const pathSegments = toPath(path);
+    if (patternSegments.length !== pathSegments.length) {
+        return null;
+    }
+
+    const indices: string[] = [];
+    for (let i = 0; i < patternSegments.length; i++) {
+        if (patternSegments[i] === WILDCARD && isIndex(pathSegments[i])) {
+            indices.push(pathSegments[i]);
+        } else if (patternSegments[i] !== pathSegments[i]) {
+            return null;
+        }
+    }
+    return indices;
+};
+
+/** Replaces the wildcards in `pattern`, in order, with the given array indices. */
+export const fillWildcards = (pattern: string, indices: string[]): string => {
+    let next = 0;
+    return formatPath(toPath(pattern).map(segment =>
+        segment === WILDCARD && next < indices.length ? indices[next++] : segment,
+    ));
+};
+
+/** Lists the concrete paths a wildcard pattern covers, one per array item present in `values`. */
+export const expandPath = (pattern: string, values: unknown): string[] => {
+    const expand = (current: unknown, done: string[], segments: string[]): string[][] => {
+        if (segments.length === 0) {
+            return [done];
+        }
+
+        const [segment, ...rest] = segments;
+        if (segment === WILDCARD) {
+            return Array.isArray(current)
+                ? current.flatMap((item, index) => expand(item, [...done, String(index)], rest))
+                : [];
+        }
+
+        const next = current !== null && typeof current === 'object'
+            ? (current as { [key: string]: unknown })[segment]
+            : undefined;
+        return expand(next, [...done, segment], rest);
+    };
+
+    return expand(values, [], toPath(pattern)).map(formatPath);
+};
+
+/**
+ * Looks up the entry of a path-keyed map that applies to `path`: an exact key first, then a wildcard key.
+ * Also returns the array indices matched by the wildcards, to resolve sibling paths of the same item.
+ */
+export const findByPath = <T>(map: { [key: string]: T }, path: string): { key: string, value: T, indices: string[] } | undefined => {
+    if (map[path] !== undefined) {
+        return { key: path, value: map[path], indices: [] };
+    }
+
+    const normalized = normalizePath(path);
+    for (const key in map) {
+        const indices = normalizePath(key) === normalized ? [] : matchPath(key, normalized);
+        if (indices) {
+            return { key, value: map[key], indices };
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Renames the keys of a path-keyed map that point inside the items of the array at `arrayPath`.
+ * `mapIndex` returns an item's new index, or `undefined` when the item was removed and its keys should be dropped.
+ */
+export const reindexPaths = <T>(
+    map: { [key: string]: T },
+    arrayPath: string,
+    mapIndex: (index: number) => number | undefined,
+): { [key: string]: T } => {
+    const prefix = toPath(arrayPath);
+    const result: { [key: string]: T } = {};
+
+    for (const key in map) {
+        const segments = toPath(key);
+        const isItemPath = segments.length > prefix.length
+            && prefix.every((segment, i) => segments[i] === segment)
+            && isIndex(segments[prefix.length]);
+
+        if (!isItemPath) {
+            result[key] = map[key];
+            continue;
+        }
+
+        const index = mapIndex(Number(segments[prefix.length]));
+        if (index !== undefined) {
+            segments[prefix.length] = String(index);
+            result[formatPath(segments)] = map[key];
+        }
+    }
+    return result;
+};
@@ -0,0 +1,76 @@
+import { formatPath, normalizePath } from './paths';
+import { FormErrors } from './types';
+
+// Adapters from the error payloads of APIs to field errors keyed by field path.
+// Each field keeps the first message the server sent for it.
+
+/** Turns an error response body into a message per field path. */
+export type ServerErrorAdapter = (payload: unknown) => FormErrors;
+
+const isObject = (value: unknown): value is { [key: string]: unknown } =>
+    value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const firstMessage = (messages: unknown): string | undefined => {
+    const message = Array.isArray(messages) ? messages[0] : messages;
+    return typeof message === 'string' && message ? message : undefined;
+};
+
+// `#/items/0/qty` or `/items/0/qty` to `items[0].qty`
+const pointerToPath = (pointer: string): string => formatPath(
+    pointer.replace(/^#/, '').split('/').filter(Boolean).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~')),
+);
+
+/**
+ * Reads `{ field: [messages] }` or `{ field: message }` objects. Field names may be paths such as `address.city`.
+ */
+export const fieldMessageErrors: ServerErrorAdapter = (payload) => {
+    const errors: FormErrors = {};
+    if (!isObject(payload)) {
+        return errors;
+    }
+    for (const field in payload) {
+        const message = firstMessage(payload[field]);
+        if (message) {
+            errors[normalizePath(field)] = message;
+        }
+    }
+    return errors;
+};
+
+/**
+ * Reads RFC 7807 problem details with an `errors` array, as in `{ errors: [{ detail, pointer }] }`.
+ * Each entry names its field with a JSON `pointer` (`#/address/city`) or a `field`, and its message with `detail` or `message`.
+ */
+export const problemDetailsErrors: ServerErrorAdapter = (payload) => {
+    const errors: FormErrors = {};
+    const entries = isObject(payload) && Array.isArray(payload.errors) ? payload.errors : [];
+    for (const entry of entries) {
+        if (!isObject(entry)) {
+            continue;
+        }
+        const path = typeof entry.pointer === 'string' ? pointerToPath(entry.pointer) : firstMessage(entry.field);
+        const message = firstMessage(entry.detail) ?? firstMessage(entry.message);
+        if (path && message && errors[normalizePath(path)] === undefined) {
+            errors[normalizePath(path)] = message;
+        }
+    }
+    return errors;
+};
+
+/**
+ * The default adapter. Reads problem details with an `errors` array, problem details with an `errors` object
+ * of field messages (as sent by ASP.NET), or a plain object of field messages.
+ * Problem details without field errors, recognized by their numeric `status`, give no field errors.
+ */
+export const parseServerErrors: ServerErrorAdapter = (payload) => {
+    if (!isObject(payload)) {
+        return {};
+    }
+    if (Array.isArray(payload.errors)) {
+        return problemDetailsErrors(payload);
+    }
+    if (isObject(payload.errors)) {
+        return fieldMessageErrors(payload.errors);
+    }
+    return typeof payload.status === 'number' ? {} : fieldMessageErrors(payload);
+};
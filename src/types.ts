@@ -0,0 +1,151 @@
+// Types shared by the validation engine and the React hooks.
+
+/**
+ * Validation options mapped to any field name that needs validation.
+ * Names may be paths into nested values (`address.city`, `items[2].qty`), and `items[].qty` applies to every item of `items`.
+ */
+export interface ValidationOption {
+    /** When this field changes, run the provided list of 'Validation' on the field's value. Built-in validators such as `isRequired` or `hasMinLength(3)` can be listed as they are, with their default message. */
+    validations?: Array<Validation | Rule>;
+    /** When this field changes, also run validation on the 'relatedFields', if there are validation errors. */
+    relatedFields?: string[];
+    /** When this field changes, call validation on the named 'nestedFieldOf' field instead. Used for auxiliary inputs (like hour/minute) that validate against a main field (like date). */
+    nestedFieldOf?: string;
+    /** Default `debounceMs` for this field's validations that do not set their own. */
+    debounceMs?: number;
+    /** Overrides the form-level `mode` for this field. */
+    mode?: ValidationMode;
+    /** Stop at the first failing rule and report its message. Overrides the form-level `bail`. */
+    bail?: boolean;
+    /** Name of the field in messages, filling their `{label}` placeholder: "{label} is required". */
+    label?: string;
+    /**
+     * Turns the value of the field's input into the value stored in `formValues`, which is also the value validators see.
+     * It receives the value `handleChange` reads for the type of input, such as the string of a text input.
+     * Declared as a method so that a function taking a narrower type, such as `(value: string) => number`, is accepted.
+     */
+    parse?(value: unknown): unknown;
+    /** Turns the stored value into the text `getFieldProps` shows in the input while the user is not editing it. */
+    format?(value: unknown): string;
+    /**
+     * Masks the input as the user types, such as `(999) 999-9999`. `formValues` and validators get the unmasked value,
+     * and `parse` receives it. See `Mask`.
+     */
+    mask?: Mask;
+    /**
+     * Only validate the field while this returns `true`, such as a field that is hidden for some answers.
+     * While it returns `false`, the field passes with no error, and a shown error is cleared as soon as the values turn it off.
+     */
+    when?: (formValues: FormValues) => boolean;
+    /** Set to `false` to stop validating the field, as `when` does. Defaults to `true`. */
+    enabled?: boolean;
+}
+
+/**
+ * An input mask. In a pattern, `9` takes a digit, `A` a letter and `*` a letter or a digit; any other character,
+ * or one escaped with a backslash, is inserted as typed: `(999) 999-9999`, `99/99`, `A9A 9A9`.
+ * A dynamic mask is a function that picks the pattern from the letters and digits typed so far, e.g. Amex or Visa card numbers.
+ */
+export type Mask = string | ((value: string) => string);
+
+/**
+ * Which events trigger validation of a field. `handleSubmit` and `validateAll` always validate.
+ * - `all`: on change and on blur
+ * - `onChange`: on change only
+ * - `onBlur`: on blur only
+ * - `onTouched`: on the first blur, then on every change
+ * - `onSubmit`: only when the form is submitted
+ */
+export type ValidationMode = 'all' | 'onChange' | 'onBlur' | 'onTouched' | 'onSubmit';
+
+/** Signature of a validation function and corresponding error message */
+export interface Validation {
+    isValid: (arg: unknown, formValues?: FormValues, context?: ValidationContext) => boolean | Promise<boolean>;
+    /**
+     * Shown when the rule fails. A string may hold `{placeholders}` for its `params` and `{value}`.
+     * A function computes the message from the value, the form values and `params`.
+     */
+    errorMessage?: string | ErrorMessageFn;
+    /** Looks the message up in the locale catalogs (see `LocaleProvider`), falling back to `errorMessage`. */
+    messageKey?: string;
+    /** Values for the rule's message, e.g. `{ min: 3 }` for "Must be at least {min} characters". */
+    params?: MessageParams;
+    /** On change, wait until typing has stopped for this many milliseconds before running this rule. Blur and submit run it right away. */
+    debounceMs?: number;
+    /** Identifies the rule in `criteriaMode: 'byRule'` errors. Defaults to the rule's index in `validations`. */
+    key?: string;
+    /** Skip this rule when an earlier rule of the field has failed, e.g. to only call the server once the local checks pass. */
+    skipIfInvalid?: boolean;
+    /** A `warning` rule reports its message in `warnings` instead of `errors` and never makes the form invalid. Defaults to `error`. */
+    severity?: 'error' | 'warning';
+}
+
+/** What a built-in validator knows about itself, so that it can be listed in `validations` without a wrapping `Validation`. */
+export interface RuleMeta {
+    /** Name of the rule, also the message key of its default message in the locale catalogs. */
+    name: string;
+    /** The arguments the validator was created with, e.g. `{ count: 3 }` for `hasMinLength(3)`. They fill its message. */
+    params: MessageParams;
+    /** Message template used when no catalog has a message for `name`. */
+    message?: string;
+}
+
+/** A validation function carrying its `RuleMeta`, such as `isRequired` or `hasMinLength(3)`. See `withRule`. */
+export interface Rule {
+    (value: never, formValues?: FormValues, context?: ValidationContext): boolean | Promise<boolean>;
+    rule: RuleMeta;
+}
+
+/** Values that fill a rule's message. */
+export interface MessageParams {
+    [key: string]: unknown;
+}
+
+/** Computes a rule's error message when it fails. */
+export type ErrorMessageFn = (value: unknown, formValues: FormValues, params: MessageParams) => string;
+
+/** Extra information passed to every `isValid` call. */
+export interface ValidationContext {
+    /**
+     * Aborted when a newer validation run starts for the same field, or the form unmounts. Pass it to `fetch` to cancel
+     * stale requests. `useForm` always passes one; `validateField` and `validateForm` only pass the one they are given.
+     */
+    signal?: AbortSignal;
+    /** For fields inside array items (`items[2].qty`), the index of the item. */
+    index?: number;
+    /** For fields inside array items, the values next to the field, e.g. the whole `items[2]` object. */
+    siblings?: unknown;
+}
+
+/** React state object returned by useState and passed into the useForm hook by the caller, to store form values. */
+export interface FormValues {
+    [key: string]: unknown;
+}
+
+/**
+ * React state object returned by useState and passed into the useForm hook by the caller, to store form validation error messages.
+ * Errors of nested fields are keyed by their full path in bracket form, e.g. `errors['items[2].qty']`.
+ * The type of each entry depends on the `criteriaMode`; see `FieldErrorFor`.
+ */
+export interface FormErrors<E extends FieldError = string> {
+    [key: string]: E;
+}
+
+/**
+ * How failing rules are reported for a field.
+ * - `single`: the message of the last failing rule, or `''` when valid
+ * - `all`: every failing message in rule order, or `[]` when valid
+ * - `byRule`: a map of failing rule keys to their messages, or `{}` when valid
+ */
+export type CriteriaMode = 'single' | 'all' | 'byRule';
+
+/** Failing rule keys mapped to their messages, for `criteriaMode: 'byRule'`. */
+export interface RuleErrors {
+    [ruleKey: string]: string;
+}
+
+/** Any shape of field error. */
+export type FieldError = string | string[] | RuleErrors;
+
+/** The shape of a field error for a given `criteriaMode`. */
+export type FieldErrorFor<M extends CriteriaMode> = M extends 'all' ? string[] : M extends 'byRule' ? RuleErrors : string;
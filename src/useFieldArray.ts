@@ -0,0 +1,131 @@
+import { useRef } from 'react';
+import { FormControl } from './useForm';
+import { getIn, normalizePath, setIn } from './paths';
+
+let nextFieldId = 0;
+
+const createFieldId = (): string => `field-${nextFieldId++}`;
+
+const toArray = (value: unknown): unknown[] => (Array.isArray(value) ? value : []);
+
+const range = (start: number, end: number): number[] => Array.from({ length: Math.max(0, end - start) }, (_, i) => start + i);
+
+/**
+ * useFieldArray manages a repeated group of fields, such as line items or phone numbers, stored as an array in the form values.
+ * Declare validations once per item with a wildcard key (`items[].qty`) and array-level rules on the array itself (`items`).
+ * Errors move with the items when they are inserted, removed or reordered.
+ */
+export function useFieldArray({
+    control,
+    name,
+}: {
+    control: FormControl,
+    name: string,
+}): UseFieldArray {
+    const arrayPath = normalizePath(name);
+    const items = toArray(getIn(control.formValues, arrayPath));
+
+    // Stable keys for rendering, kept in step with the items.
+    const ids = useRef<string[]>([]);
+    if (ids.current.length !== items.length) {
+        ids.current = items.map((_, index) => ids.current[index] ?? createFieldId());
+    }
+
+    // The items once the operations already called since the last render are applied,
+    // so that several operations in one handler build on each other.
+    const pendingItems = useRef(items);
+    pendingItems.current = items;
+
+    /**
+     * Applies an operation described by `getOrder`, which gives, for an array of `length` items, the previous index
+     * of each item in the next array, or `null` for the new item.
+     */
+    const update = (getOrder: (length: number) => Array<number | null>, newItem?: unknown): void => {
+        const rebuild = (previousItems: unknown[]): unknown[] =>
+            getOrder(previousItems.length).map(index => (index === null ? newItem : previousItems[index]));
+
+        const order = getOrder(pendingItems.current.length);
+        const mapIndex = (index: number): number | undefined => {
+            const nextIndex = order.indexOf(index);
+            return nextIndex === -1 ? undefined : nextIndex;
+        };
+        const nextItems = rebuild(pendingItems.current);
+        pendingItems.current = nextItems;
+        ids.current = order.map(index => (index === null ? createFieldId() : ids.current[index]));
+
+        // The order is worked out again from the stored array, which other updates queued in the same handler may have changed
+        control.setFormValues(prevState => setIn(prevState, arrayPath, rebuild(toArray(getIn(prevState, arrayPath)))));
+        control.reindexArray(arrayPath, mapIndex);
+
+        // Re-check array-level rules such as minimum and maximum item counts
+        if (control.shouldValidateOnChange(arrayPath)) {
+            control.validateField(arrayPath, nextItems);
+        }
+    };
+
+    const append = (item: unknown): void => {
+        update(length => [...range(0, length), null], item);
+    };
+
+    const insert = (index: number, item: unknown): void => {
+        update(length => [...range(0, index), null, ...range(index, length)], item);
+    };
+
+    const remove = (index: number): void => {
+        update(length => range(0, length).filter(i => i !== index));
+    };
+
+    const move = (from: number, to: number): void => {
+        update((length) => {
+            const order: Array<number | null> = range(0, length).filter(i => i !== from);
+            order.splice(to, 0, from);
+            return order;
+        });
+    };
+
+    const swap = (indexA: number, indexB: number): void => {
+        update((length) => {
+            const order = range(0, length);
+            order[indexA] = indexB;
+            order[indexB] = indexA;
+            return order;
+        });
+    };
+
+    return {
+        fields: items.map((value, index) => ({
+            id: ids.current[index],
+            name: `${arrayPath}[${index}]`,
+            value,
+        })),
+        append,
+        insert,
+        remove,
+        move,
+        swap,
+    };
+}
+
+/** One item of a field array, as rendered. */
+export interface FieldArrayItem {
+    /** Stable key for the item. Use it as the React `key`, not the index. */
+    id: string;
+    /** Path of the item, e.g. `items[2]`. Prefix the item's input names with it: `${field.name}.qty`. */
+    name: string;
+    value: unknown;
+}
+
+/** The items of a field array and the operations that change them. */
+export interface UseFieldArray {
+    fields: FieldArrayItem[];
+    /** Add an item at the end. */
+    append: (item: unknown) => void;
+    /** Add an item at `index`, shifting the following items. */
+    insert: (index: number, item: unknown) => void;
+    /** Remove the item at `index`, along with its errors. */
+    remove: (index: number) => void;
+    /** Move the item at `from` to `to`. */
+    move: (from: number, to: number) => void;
+    /** Swap the items at `indexA` and `indexB`. */
+    swap: (indexA: number, indexB: number) => void;
+}
@@ -1,24 +1,332 @@
-import React from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getChangedPaths, isDeepEqual } from './equality';
+import {
+    FieldElement,
+    getEventValue,
+    isCheckboxGroup,
+    isInactiveElement,
+    readFieldElements,
+    setGroupMembership,
+    writeFieldElement,
+} from './fieldElements';
+import { findFirstField, focusElement } from './focus';
+import { Translate } from './i18n';
+import { useTranslate } from './LocaleProvider';
+import { applyMask, maskInput, unmask } from './masks';
+import { resolveMessage } from './messages';
+import { formatPath, getIn, isPathWithin, normalizePath, reindexPaths, setIn, toPath } from './paths';
+import { parseServerErrors, ServerErrorAdapter } from './serverErrors';
+import { CriteriaMode, FieldError, FieldErrorFor, FormErrors, FormValues, Mask, ValidationMode, ValidationOption } from './types';
+import {
+    checkField,
+    FieldFailures,
+    FieldValidationResult,
+    getDebounceMs,
+    getFieldOptions,
+    getValidatedPath,
+    hasFieldError,
+    isFieldEnabled,
+    listFieldPaths,
+    resolveRelativePath,
+    toFieldError,
+    toFieldValidationResult,
+    toValidation,
+} from './validation';
+
+export type {
+    CriteriaMode,
+    FieldError,
+    FieldErrorFor,
+    FormErrors,
+    FormValues,
+    RuleErrors,
+    Validation,
+    ValidationContext,
+    ValidationMode,
+    ValidationOption,
+} from './types';
+
+let nextFormId = 0;
+
+// Before React 18, ids come from a counter, which only matches between the server and the client when both render
+// the same forms in the same order.
+const useCounterId = (): string => {
+    const counterId = useRef('');
+    if (!counterId.current) {
+        counterId.current = String(nextFormId++);
+    }
+    return counterId.current;
+};
+
+// `useId` gives the same id on the server and the client, so that hydration finds the ids it rendered.
+const useReactId = (React as { useId?: () => string }).useId ?? useCounterId;
+
+// The id prefix of a form that is not given one. React's ids hold characters such as `:` that need escaping in CSS selectors.
+const useFormId = (): string => `sonic-form-${useReactId().replace(/[^\w-]/g, '')}`;
+
+// The result of one validation run of a field. An `aborted` run was cut short, by a newer run for the field or by
+// the form unmounting, so it is not valid: the rules it did not get to might fail.
+type ValidationRunResult<E extends FieldError> = FieldValidationResult<E> & { aborted?: boolean };
+
+// Sets one entry of a map of field flags, keeping the same object when nothing changes.
+const setFlag = (flags: FieldFlags, name: string, isSet: boolean): FieldFlags =>
+    (Boolean(flags[name]) === isSet ? flags : { ...flags, [name]: isSet });
+
+// Sets the error of a field, keeping the same object when it has not changed, so that the form does not re-render.
+const setFieldError = <E extends FieldError>(errors: FormErrors<E>, name: string, error: E): FormErrors<E> =>
+    (name in errors && isDeepEqual(errors[name], error) ? errors : { ...errors, [name]: error });
+
+// Drops the entries of a path-keyed map at `path` or inside it, keeping the same object when there are none.
+const omitWithin = <T>(map: { [key: string]: T }, path: string): { [key: string]: T } => {
+    const keys = Object.keys(map).filter(key => isPathWithin(key, path));
+    if (keys.length === 0) {
+        return map;
+    }
+    const rest = { ...map };
+    for (const key of keys) {
+        delete rest[key];
+    }
+    return rest;
+};
+
+// The failing rules each field's stored messages were worded from, and in which locale.
+type MessageSources<E extends FieldError> = {
+    [key: string]: { error: E, warning: E, checked: FieldFailures, translate: Translate | undefined },
+};
+
+// Words the messages of `messageKey` rules in the current locale. A stored message is only worded again while it is still
+// the one its rules gave, so that messages changed since, such as by `reset` or by the caller, are left as they are.
+const localizeMessages = <E extends FieldError>(
+    stored: FormErrors<E>,
+    sources: MessageSources<E>,
+    kind: 'error' | 'warning',
+    translate: Translate | undefined,
+    criteriaMode: CriteriaMode = 'single',
+): FormErrors<E> => {
+    let localized = stored;
+    for (const path in sources) {
+        const source = sources[path];
+        if (source.translate === translate || !(path in stored) || !isDeepEqual(stored[path], source[kind])) {
+            continue;
+        }
+        const failures = kind === 'error' ? source.checked.failures : source.checked.warnings;
+        const reworded = failures.map(failure => ({
+            ...failure,
+            message: resolveMessage(failure.validation, failure.value, failure.formValues, translate) || failure.message,
+        }));
+        localized = { ...localized, [path]: toFieldError(reworded, criteriaMode) as E };
+    }
+    return localized;
+};
+
+// A changed value inside an array stands for the whole array, since a partial array cannot be sent.
+const toDirtyValuePath = (path: string): string => {
+    const segments = toPath(path);
+    const indexPosition = segments.findIndex(segment => /^\d+$/.test(segment));
+    return indexPosition === -1 ? path : formatPath(segments.slice(0, indexPosition));
+};
 
 /**
  * useForm takes a map of 'validationOptions' for any form field to validate.
  * The field's `name` attribute maps to a `ValidationOption` object
  * containing validation functions to test the field's value. This hook provides event
  * handlers that can be attached to the form to trigger validation.
+ *
+ * The form keeps its values and errors in its own state, starting from `defaultValues`, unless the caller passes
+ * `formValues` and `setFormValues`, or `errors` and `setErrors`, to keep them elsewhere, such as in a Redux store.
+ * With `uncontrolled`, inputs attached with `register` keep their own values, which are read when validating.
  */
-export function useForm({
-    formValues,
-    setFormValues,
-    errors,
-    setErrors,
+export function useForm<M extends CriteriaMode = 'single'>({
+    formValues: externalFormValues,
+    setFormValues: externalSetFormValues,
+    errors: externalErrors,
+    setErrors: externalSetErrors,
     validationOptions,
+    mode = 'all',
+    criteriaMode,
+    bail = false,
+    id,
+    shouldFocusError = false,
+    defaultValues: initialDefaultValues,
+    uncontrolled = false,
 }: {
-    formValues: FormValues,
-    setFormValues: React.Dispatch<React.SetStateAction<FormValues>>,
-    errors: FormErrors,
-    setErrors: React.Dispatch<React.SetStateAction<FormErrors>>,
-    validationOptions: { [key: string]: ValidationOption }
-}): UseForm {
+    /** The form's values, kept by the caller. Pass along with `setFormValues`. */
+    formValues?: FormValues,
+    setFormValues?: React.Dispatch<React.SetStateAction<FormValues>>,
+    /** The form's errors, kept by the caller. Pass along with `setErrors`. */
+    errors?: FormErrors<FieldErrorFor<M>>,
+    setErrors?: React.Dispatch<React.SetStateAction<FormErrors<FieldErrorFor<M>>>>,
+    validationOptions: { [key: string]: ValidationOption },
+    /** Which events trigger validation. Defaults to `all`: validate on change and on blur. */
+    mode?: ValidationMode,
+    /** How failing rules are reported in `errors`. Defaults to `single`, the last failing message. */
+    criteriaMode?: M,
+    /** Stop at the first failing rule of each field, unless the field sets its own `bail`. */
+    bail?: boolean,
+    /**
+     * Prefix of the element ids given by `getFieldProps` and `getErrorProps`. Defaults to one from `React.useId`,
+     * unique on the page and the same on the server and the client.
+     */
+    id?: string,
+    /** After a submit with errors, focus and scroll to the first invalid field in DOM order. */
+    shouldFocusError?: boolean,
+    /**
+     * The values `reset` returns to, and that changes are measured against. Defaults to `formValues` on the first render.
+     * Without `formValues`, the form starts with these values.
+     */
+    defaultValues?: FormValues,
+    /**
+     * Leave the values of the inputs attached with `register` in the DOM, and read them when validating and submitting,
+     * so that typing does not re-render the form. Only errors and other form state changes re-render it.
+     */
+    uncontrolled?: boolean,
+}): UseForm<FieldErrorFor<M>> {
+    if (process.env.NODE_ENV !== 'production') {
+        if (uncontrolled && externalFormValues !== undefined) {
+            throw new Error('An "uncontrolled" form reads its values from its inputs, so it cannot take "formValues".');
+        }
+        if ((externalFormValues === undefined) !== (externalSetFormValues === undefined)) {
+            throw new Error('Pass both "formValues" and "setFormValues" to keep the form values outside of useForm, or neither.');
+        }
+        if ((externalErrors === undefined) !== (externalSetErrors === undefined)) {
+            throw new Error('Pass both "errors" and "setErrors" to keep the form errors outside of useForm, or neither.');
+        }
+    }
+
+    // Values and errors the caller does not keep are kept here
+    const [ownFormValues, setOwnFormValues] = useState<FormValues>(() => initialDefaultValues ?? {});
+    const [ownErrors, setOwnErrors] = useState<FormErrors<FieldErrorFor<M>>>({});
+
+    // The values of the latest render, for handlers called before the form re-renders with the values they set.
+    // An `uncontrolled` form also puts the changes of its inputs here, as they do not re-render it.
+    const latestValues = useRef(externalFormValues ?? ownFormValues);
+    if (!uncontrolled) {
+        latestValues.current = externalFormValues ?? ownFormValues;
+    }
+    const formValues = latestValues.current;
+    const setFormValues: React.Dispatch<React.SetStateAction<FormValues>> = externalSetFormValues ?? (!uncontrolled
+        ? setOwnFormValues
+        : (update): void => {
+            // Build on the changes of the inputs, which the form's state does not have
+            latestValues.current = typeof update === 'function' ? update(latestValues.current) : update;
+            setOwnFormValues(latestValues.current);
+        });
+    const storedErrors = externalErrors ?? ownErrors;
+    const setErrors = externalSetErrors ?? setOwnErrors;
+
+    // The in-flight validation run for each field. Starting a new run aborts the previous one,
+    // so only the latest run for a field can write to `errors`.
+    const validationRuns = useRef<{ [key: string]: AbortController }>({});
+    // The latest full run of each field, so that a submit whose run was aborted by a newer one takes that one's result.
+    const fullRuns = useRef<{ [key: string]: Promise<ValidationRunResult<FieldErrorFor<M>>> }>({});
+
+    // Scheduled runs of debounced validations, keyed by the field they validate.
+    const debounceTimers = useRef<{ [key: string]: ReturnType<typeof setTimeout> }>({});
+    const [pendingFields, setPendingFields] = useState<FieldFlags>({});
+
+    // Fields with an async rule in flight. Only the latest run of a field clears its flag.
+    // Rules that return right away do not set it, so they do not re-render the form.
+    const [validatingFields, setValidatingFields] = useState<FieldFlags>({});
+
+    // Messages of failing `warning` rules. They are kept apart from `errors` and never block submission.
+    const [storedWarnings, setWarnings] = useState<FormErrors<FieldErrorFor<M>>>({});
+
+    // Errors reported by the server, kept apart from `errors` so that validation does not overwrite them.
+    // A field's server error is cleared when the user edits the field.
+    const [serverErrors, setServerErrorsState] = useState<FormErrors>({});
+
+    // How many times `handleSubmit` has run, so that an `ErrorSummary` only shows up once the user has submitted.
+    const [submitCount, setSubmitCount] = useState(0);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [isSubmitSuccessful, setIsSubmitSuccessful] = useState(false);
+    const [submitError, setSubmitError] = useState<unknown>();
+    // Set synchronously, unlike `isSubmitting`, so that a second submit in the same tick is turned away.
+    const submitInFlight = useRef(false);
+
+    // The values `reset` returns to, to tell which fields have changed. `reset(values)` replaces them.
+    const [defaultValues, setDefaultValues] = useState<FormValues>(() => initialDefaultValues ?? formValues);
+
+    useEffect(() => {
+        const runs = validationRuns.current;
+        const timers = debounceTimers.current;
+        return (): void => {
+            for (const name in runs) {
+                runs[name].abort();
+            }
+            for (const name in timers) {
+                clearTimeout(timers[name]);
+            }
+        };
+    }, []);
+
+    // Messages of `messageKey` rules follow the locale of the nearest LocaleProvider.
+    const translate = useTranslate();
+
+    // The failing rules behind the messages of the fields that failed a `messageKey` rule, so that the messages
+    // follow the locale when rendering instead of being validated again.
+    const messageSources = useRef<MessageSources<FieldErrorFor<M>>>({});
+    const errors = useMemo(
+        () => localizeMessages(storedErrors, messageSources.current, 'error', translate, criteriaMode),
+        [storedErrors, translate, criteriaMode],
+    );
+    const warnings = useMemo(
+        () => localizeMessages(storedWarnings, messageSources.current, 'warning', translate, criteriaMode),
+        [storedWarnings, translate, criteriaMode],
+    );
+
+    const generatedId = useFormId();
+    const formId = id ?? generatedId;
+
+    // Fields that have been blurred at least once, for the `onTouched` mode.
+    const [touchedFields, setTouchedFields] = useState<FieldFlags>({});
+
+    // The text typed into fields with a `format`, shown instead of the formatted value until the field is blurred,
+    // so that formatting does not rewrite the input while the user types.
+    const [editingValues, setEditingValues] = useState<{ [key: string]: string }>({});
+
+    // The inputs attached with `register`, keyed by field path and, for radio buttons and checkbox groups, option value.
+    const registeredElements = useRef<{ [key: string]: { name: string, element: FieldElement } }>({});
+    const registerRefs = useRef<{ [key: string]: (element: FieldElement | null) => void }>({});
+    // The unmasked value of each masked input of an `uncontrolled` form, for telling which characters a change deleted.
+    const maskedInputValues = useRef<{ [key: string]: string }>({});
+
+    const shouldValidateOn = (trigger: 'change' | 'blur', name: string): boolean => {
+        const fieldMode = getFieldOptions(validationOptions, name)?.mode
+            ?? getFieldOptions(validationOptions, getValidatedPath(validationOptions, name))?.mode
+            ?? mode;
+
+        switch (fieldMode) {
+            case 'onChange':
+                return trigger === 'change';
+            case 'onBlur':
+                return trigger === 'blur';
+            case 'onTouched':
+                return trigger === 'blur' || Boolean(touchedFields[normalizePath(name)]);
+            case 'onSubmit':
+                return false;
+            default:
+                return true;
+        }
+    };
+
+    const setPending = (name: string, isPending: boolean): void => {
+        setPendingFields((prevState) => setFlag(prevState, name, isPending));
+    };
+
+    const cancelDebouncedValidation = (name: string): void => {
+        if (debounceTimers.current[name] !== undefined) {
+            clearTimeout(debounceTimers.current[name]);
+            delete debounceTimers.current[name];
+        }
+    };
+
+    const startValidationRun = (name: string): AbortController => {
+        validationRuns.current[name]?.abort();
+        const run = new AbortController();
+        validationRuns.current[name] = run;
+        return run;
+    };
+
     const getFieldName = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>): string | undefined => {
         if (event.target.name === null && event.target.getAttribute('name') === null) {
             console.error('You must specify a name for this form field.');
@@ -28,77 +336,226 @@ export function useForm({
         return event.target.name || event.target.getAttribute('name') as string;
     };
 
-    const setValueFromChangeEvent = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>): void => {
-        const name = getFieldName(event);
+    // The input's text after applying the field's mask, given the unmasked value before the change.
+    const maskEventValue = (target: HTMLInputElement | HTMLSelectElement, name: string, mask: Mask): ReturnType<typeof maskInput> => {
+        const previous = uncontrolled
+            ? maskedInputValues.current[normalizePath(name)] ?? getIn(formValues, name)
+            : getIn(formValues, name);
+        const caret = (target as HTMLInputElement).selectionStart ?? target.value.length;
+        return maskInput(target.value, caret, mask, typeof previous === 'string' ? previous : String(previous ?? ''));
+    };
 
-        if (!name) {
-            return;
+    // Applies the field's `parse` to the value read from its input.
+    const parseInputValue = (name: string, value: unknown): unknown => {
+        const parse = getFieldOptions(validationOptions, name)?.parse;
+        return parse ? parse(value) : value;
+    };
+
+    // The value to store for an event: read by the type of input, unmasked, then passed through the field's `parse`.
+    // The input's text is taken as already masked, as it is once `readChangeValue` has masked it.
+    const parseEventValue = (target: HTMLInputElement | HTMLSelectElement, name: string): unknown => {
+        const mask = getFieldOptions(validationOptions, name)?.mask;
+        const value = getEventValue(target, getIn(uncontrolled ? latestValues.current : formValues, name));
+        return parseInputValue(name, mask && typeof value === 'string' ? unmask(value, mask) : value);
+    };
+
+    // The value to store for a change event, read once per event. A masked input is masked here, before its value is read.
+    const readChangeValue = (target: HTMLInputElement | HTMLSelectElement, name: string): unknown => {
+        const mask = getFieldOptions(validationOptions, name)?.mask;
+        const value = getEventValue(target, getIn(uncontrolled ? latestValues.current : formValues, name));
+        return parseInputValue(name, mask && typeof value === 'string' ? applyMaskToInput(target, name, mask) : value);
+    };
+
+    // The inputs attached with `register`, by field path.
+    const getRegisteredElementsByName = (): { [key: string]: FieldElement[] } => {
+        const elementsByName: { [key: string]: FieldElement[] } = {};
+        for (const { name, element } of Object.values(registeredElements.current)) {
+            (elementsByName[name] ??= []).push(element);
         }
+        return elementsByName;
+    };
+
+    // The current values: those of the latest render, with the values of the inputs attached with `register` in an `uncontrolled` form.
+    const getValues = (): FormValues => {
+        if (!uncontrolled) {
+            return latestValues.current;
+        }
+
+        const elementsByName = getRegisteredElementsByName();
+        let values = latestValues.current;
+        for (const name in elementsByName) {
+            const mask = getFieldOptions(validationOptions, name)?.mask;
+            const value = readFieldElements(elementsByName[name], getIn(values, name));
+            values = setIn(values, name, parseInputValue(name, mask && typeof value === 'string' ? unmask(value, mask) : value));
+        }
+        return values;
+    };
+
+    // Puts the masked text into the input, keeps the caret in place and returns the unmasked value. The next render gives
+    // the input the same text, so React leaves the caret where it is.
+    const applyMaskToInput = (target: HTMLInputElement | HTMLSelectElement, name: string, mask: Mask): string => {
+        const { masked, unmasked, caret } = maskEventValue(target, name, mask);
+        if (!(target instanceof HTMLInputElement)) {
+            return unmasked;
+        }
+        maskedInputValues.current[normalizePath(name)] = unmasked;
+        target.value = masked;
+        if (target.ownerDocument.activeElement === target) {
+            target.setSelectionRange(caret, caret);
+        }
+        return unmasked;
+    };
+
+    // Whether every input of a field is disabled or read-only, so that the field is not validated. The inputs are `inputs`,
+    // by default those attached with `register`, and those given an id by `getFieldProps`, which are looked up by their id.
+    const isFieldInactive = (name: string, inputs: Element[] = getRegisteredElementsByName()[normalizePath(name)] ?? []): boolean => {
+        if (typeof document === 'undefined') {
+            return false;
+        }
+        const elements = new Set<Element>(inputs);
+        const target = document.getElementById(getFieldTargetId(name)) as HTMLInputElement | null;
+        if (target) {
+            // The id is that of the first button of a radio group, whose other buttons share its name
+            const group = target.type === 'radio' ? Array.from(document.getElementsByName(target.name)) : [target];
+            for (const element of group) {
+                if (element.id.startsWith(`${formId}-`)) {
+                    elements.add(element);
+                }
+            }
+        }
+        return elements.size > 0 && Array.from(elements).every(isInactiveElement);
+    };
 
+    // `value` is the field's new value, as `readChangeValue` read it from the event.
+    const setValueFromChangeEvent = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>, name: string, value: unknown): void => {
         if (event.target.value === undefined) {
             console.warn(`The changeEvent value of ${name} is undefined. Was it a programmatic event?`);
             return;
         }
 
-        setFormValues((prevState: FormValues) => ({
-            ...prevState,
-            [name]: event.target.value as string,
-        }));
+        if (uncontrolled) {
+            // The input keeps its value. The form only re-renders when the change makes the field dirty or clean.
+            const path = normalizePath(name);
+            latestValues.current = setIn(latestValues.current, path, value);
+            const isDirty = !isDeepEqual(value, getIn(defaultValues, path));
+            if (isDirty !== Object.keys(dirtyFields).some(dirtyPath => isPathWithin(dirtyPath, path))) {
+                setOwnFormValues(latestValues.current);
+            }
+            return;
+        }
+
+        if (isCheckboxGroup(event.target, getIn(formValues, name))) {
+            // The group is read as it is when the update applies, so that boxes toggled before the next render all count
+            const { value: optionValue, checked } = event.target as HTMLInputElement;
+            setFormValues((prevState: FormValues) =>
+                setIn(prevState, name, parseInputValue(name, setGroupMembership(getIn(prevState, name), optionValue, checked))));
+            return;
+        }
+
+        setFormValues((prevState: FormValues) => setIn(prevState, name, value));
+        const fieldOptions = getFieldOptions(validationOptions, name);
+        if (fieldOptions?.format && !fieldOptions.mask) {
+            setEditingValues((prevState) => ({ ...prevState, [normalizePath(name)]: event.target.value }));
+        }
     };
 
-    const validate = async (pname: string, currentValue?: unknown): Promise<boolean> => {
-        let errorMessage = '';
+    const runValidation = async (
+        pname: string,
+        currentValue?: unknown,
+        {
+            skipDebounced = false,
+            values = uncontrolled ? latestValues.current : formValues,
+            disabled,
+        }: { skipDebounced?: boolean, values?: FormValues, disabled?: boolean } = {},
+    ): Promise<ValidationRunResult<FieldErrorFor<M>>> => {
+        const nameToValidate = getValidatedPath(validationOptions, pname);
 
-        const nameToValidate = validationOptions[pname].nestedFieldOf || pname;
-        // If `nestedFieldOf` is provided, run that validation instead.
-        // `nestedFieldOf` is used for auxiliary inputs (like hour/minute) that validate against a main field (like date).
-        const namedValidationOptions = validationOptions[nameToValidate];
-        const validations = namedValidationOptions?.validations ? namedValidationOptions.validations : [];
+        if (!skipDebounced) {
+            // A full run supersedes any debounced run that is still waiting.
+            cancelDebouncedValidation(nameToValidate);
+        }
 
-        // Use the provided current value if available, otherwise fall back to form values
-        const valueToValidate = currentValue !== undefined ? currentValue : formValues[nameToValidate];
-        
-        // Create updated form values for cross-field validation
-        const updatedFormValues = currentValue !== undefined 
-            ? { ...formValues, [pname]: currentValue }
-            : formValues;
+        const run = startValidationRun(nameToValidate);
+        const checked = await checkField(pname, values, validationOptions, {
+            value: currentValue,
+            signal: run.signal,
+            skipDebounced,
+            bail,
+            translate,
+            // Disabled and read-only inputs take no input, so their field is not validated
+            disabled: disabled ?? isFieldInactive(nameToValidate),
+            onPending: () => {
+                if (!run.signal.aborted) {
+                    setValidatingFields((prevState) => setFlag(prevState, nameToValidate, true));
+                }
+            },
+        });
+        const result = toFieldValidationResult(checked, criteriaMode ?? 'single' as M);
 
+        // A newer run for this field has started, or the form unmounted; the result is incomplete and is not written.
+        if (run.signal.aborted) {
+            return { ...result, isValid: false, aborted: true };
+        }
 
+        setValidatingFields((prevState) => setFlag(prevState, nameToValidate, false));
 
-        for (const validation of validations) {
-            try {
-                const result = await Promise.resolve(validation.isValid(valueToValidate, updatedFormValues));
+        if ([...checked.failures, ...checked.warnings].some(failure => failure.validation.messageKey)) {
+            messageSources.current[nameToValidate] = { error: result.error, warning: result.warning, checked, translate };
+        } else {
+            delete messageSources.current[nameToValidate];
+        }
+        setErrors((prevState) => setFieldError(prevState, nameToValidate, result.error));
+        setWarnings((prevState) => setFieldError(prevState, nameToValidate, result.warning));
 
-                
-                if (!result) {
-                    errorMessage = validation.errorMessage;
-                    // Current behavior: do not short-circuit
-                }
-            } catch (e) {
-                console.error(`Validation error for ${nameToValidate}:`, e);
-                // TODO: consider bubbling this error up instead of failing silently
-                errorMessage = validation.errorMessage || 'Validation failed';
-            }
+        if (!skipDebounced) {
+            setPending(nameToValidate, false);
         }
 
-        setErrors((prevState: FormErrors) => ({
-            ...prevState,
-            [nameToValidate]: errorMessage,
-        }));
+        return result;
+    };
 
-        return errorMessage === '';
+    const validate = (
+        pname: string,
+        currentValue?: unknown,
+        options: { skipDebounced?: boolean, values?: FormValues, disabled?: boolean } = {},
+    ): Promise<ValidationRunResult<FieldErrorFor<M>>> => {
+        const result = runValidation(pname, currentValue, options);
+        if (!options.skipDebounced) {
+            fullRuns.current[getValidatedPath(validationOptions, pname)] = result;
+        }
+        return result;
     };
 
-    const validateFromEvent = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>): void => {
-        const name = getFieldName(event);
-        if (name) {
-            // Pass the new value from the event to validation
-            validate(name, event.target.value);
+    // Validates the field with its new value from the event.
+    const validateFromEvent = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>, name: string, value: unknown): void => {
+        validate(name, value, { disabled: isInactiveElement(event.target) });
+    };
+
+    // Runs the immediate rules right away and holds back debounced rules until typing stops.
+    const validateFromChangeEvent = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>, name: string, value: unknown): void => {
+        const disabled = isInactiveElement(event.target);
+        const nameToValidate = getValidatedPath(validationOptions, name);
+        const fieldOptions = getFieldOptions(validationOptions, nameToValidate);
+        const debounceMs = Math.max(0, ...(fieldOptions?.validations || []).map(entry => getDebounceMs(fieldOptions, toValidation(entry))));
+
+        if (debounceMs <= 0) {
+            validate(name, value, { disabled });
+            return;
         }
+
+        validate(name, value, { skipDebounced: true, disabled });
+
+        cancelDebouncedValidation(nameToValidate);
+        setPending(nameToValidate, true);
+        debounceTimers.current[nameToValidate] = setTimeout(() => {
+            delete debounceTimers.current[nameToValidate];
+            validate(name, value, { disabled });
+        }, debounceMs);
     };
 
-    const validateRelatedFields = (name: string): void => {
-        const fieldConfig = validationOptions[name];
+    // `value` is the new value of the field from its event, which the related fields see along with the other current values.
+    const validateRelatedFields = (name: string, value: unknown): void => {
+        const fieldConfig = getFieldOptions(validationOptions, name);
         if (!fieldConfig) {
             return;
         }
@@ -117,24 +574,45 @@ export function useForm({
 
         if (fieldConfig.nestedFieldOf) {
             // Auxiliary field: validate its target only
-            validate(fieldConfig.nestedFieldOf);
+            validate(getValidatedPath(validationOptions, name), undefined, { values: setIn(latestValues.current, name, value) });
             return;
         }
 
         // Primary field: validate its related fields only
-        for (const fieldName of fieldConfig.relatedFields || []) {
-            if (errors[fieldName]) {
-                validate(fieldName);
+        for (const relatedField of fieldConfig.relatedFields || []) {
+            const fieldName = resolveRelativePath(validationOptions, name, relatedField);
+            if (hasFieldError(errors[fieldName])) {
+                validate(fieldName, undefined, { values: setIn(latestValues.current, name, value) });
             }
         }
     };
 
+    const clearServerError = (name: string): void => {
+        const paths = [normalizePath(name), getValidatedPath(validationOptions, name)];
+        // Skipping the update when there is nothing to clear saves a render on every keystroke
+        if (!paths.some(path => path in serverErrors)) {
+            return;
+        }
+        setServerErrorsState((prevState) => {
+            if (!paths.some(path => path in prevState)) {
+                return prevState;
+            }
+            const nextState = { ...prevState };
+            for (const path of paths) {
+                delete nextState[path];
+            }
+            return nextState;
+        });
+    };
+
+    const setServerErrors = (payload: unknown, adapter: ServerErrorAdapter = parseServerErrors): void => {
+        setServerErrorsState(adapter(payload));
+    };
+
     // Pluggable handler for external/custom field types (e.g., DatePicker)
     const handleCustomChange = (field: string, value: unknown): void => {
-        setFormValues((prevState: FormValues) => ({
-            ...prevState,
-            [field]: value,
-        }));
+        setFormValues((prevState: FormValues) => setIn(prevState, field, value));
+        clearServerError(field);
     };
 
     const handleDatePickerChange = (event: CustomEvent & { target: HTMLElement & { name: string } }): void => {
@@ -147,43 +625,413 @@ export function useForm({
     };
 
     const handleDropdownChange = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>): void => {
-        setValueFromChangeEvent(event);
-        validateFromEvent(event);
-        validateRelatedFields(event);
+        handleChange(event);
     };
 
     const handleChange = (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>): void => {
-        setValueFromChangeEvent(event);
-        validateFromEvent(event);
         const name = getFieldName(event);
-        if (name) {
-            validateRelatedFields(name);
+        if (!name) {
+            return;
+        }
+
+        const value = readChangeValue(event.target, name);
+        setValueFromChangeEvent(event, name, value);
+        clearServerError(name);
+        if (shouldValidateOn('change', name)) {
+            validateFromChangeEvent(event, name, value);
+            validateRelatedFields(name, value);
         }
     };
 
     const handleBlur = (event: React.FocusEvent<HTMLInputElement>): void => {
-        validateFromEvent(event);
         const name = getFieldName(event);
-        if (name) {
-            validateRelatedFields(name);
+        if (!name) {
+            return;
+        }
+
+        setTouchedFields((prevState) => setFlag(prevState, normalizePath(name), true));
+        setEditingValues((prevState) => omitWithin(prevState, normalizePath(name)));
+        const value = parseEventValue(event.target, name);
+        if (uncontrolled && getFieldOptions(validationOptions, name)?.format) {
+            // Show the formatted value once the user is done editing
+            writeFieldElement(event.target, toValueProps(name, value, { type: event.target.type }));
+        }
+        if (shouldValidateOn('blur', name)) {
+            validateFromEvent(event, name, value);
+            validateRelatedFields(name, value);
         }
     };
 
-    const validateAll = async (): Promise<boolean> => {
-        let isFormValid = true;
-        for (const name in validationOptions) {
-            isFormValid = (await validate(name)) && isFormValid;
+    // Every field gets a full run here, which also flushes any debounced validations still waiting.
+    // Returns the errors of the invalid fields. `form` is the submitted form, whose disabled inputs are also skipped.
+    const validateFields = async (
+        values: FormValues = uncontrolled ? getValues() : formValues,
+        form?: HTMLFormElement,
+    ): Promise<FormErrors<FieldErrorFor<M>>> => {
+        const fieldErrors: FormErrors<FieldErrorFor<M>> = {};
+        // The inputs of each field, looked up once for the whole run: those attached with `register` and those of the submitted form
+        const inputsByName: { [key: string]: Element[] } = getRegisteredElementsByName();
+        for (const element of Array.from(form?.elements ?? [])) {
+            const name = element.getAttribute('name');
+            if (name) {
+                (inputsByName[normalizePath(name)] ??= []).push(element);
+            }
+        }
+        const validatedPaths = new Set<string>();
+        for (const name of listFieldPaths(values, validationOptions)) {
+            // Auxiliary `nestedFieldOf` fields validate their main field, which only needs to run once
+            const validatedPath = getValidatedPath(validationOptions, name);
+            if (validatedPaths.has(validatedPath)) {
+                continue;
+            }
+            validatedPaths.add(validatedPath);
+            let run = validate(name, undefined, { values, disabled: isFieldInactive(name, inputsByName[normalizePath(name)] ?? []) });
+            let result = await run;
+            // A newer full run of the field, such as one started by `control.validateField`, aborted this one: its result stands.
+            // A run aborted otherwise leaves the field unvalidated, which counts as invalid.
+            while (result.aborted && fullRuns.current[result.name] !== run) {
+                run = fullRuns.current[result.name];
+                result = await run;
+            }
+            if (!result.isValid) {
+                fieldErrors[result.name] = result.error;
+            }
         }
-        return isFormValid;
+        return fieldErrors;
     };
 
-    const handleSubmit = async (event: React.FormEvent<HTMLFormElement>): Promise<boolean> => {
-        event.preventDefault();
-        const isFormValid = await validateAll();
-        return isFormValid;
+    const validateAll = async (): Promise<boolean> => Object.keys(await validateFields()).length === 0;
+
+    const focusFirstInvalidField = (root: ParentNode, invalidFields: string[]): void => {
+        const field = findFirstField(root, name => invalidFields.includes(getValidatedPath(validationOptions, name)));
+        if (field) {
+            focusElement(field);
+        }
+    };
+
+    // Validates the form and hands the latest values to `onValid`, or the errors to `onInvalid`.
+    // Resolves to whether the form was valid and `onValid` succeeded.
+    const submit = async (
+        event: React.FormEvent<HTMLFormElement> | undefined,
+        onValid?: SubmitHandler,
+        onInvalid?: InvalidSubmitHandler<FieldErrorFor<M>>,
+    ): Promise<boolean> => {
+        event?.preventDefault();
+        if (submitInFlight.current) {
+            // Double submit: the first one is still running
+            return false;
+        }
+        submitInFlight.current = true;
+
+        // Read the form before awaiting; React clears `currentTarget` once the handler returns.
+        const form = event?.currentTarget;
+        setIsSubmitting(true);
+        setIsSubmitSuccessful(false);
+        setSubmitError(undefined);
+
+        try {
+            // The callbacks get the values that were validated, not ones typed while async rules were running
+            const values = uncontrolled ? getValues() : latestValues.current;
+            const fieldErrors = await validateFields(values, form && form instanceof HTMLFormElement ? form : undefined);
+            const invalidFields = Object.keys(fieldErrors);
+            setSubmitCount(count => count + 1);
+
+            if (invalidFields.length > 0) {
+                if (shouldFocusError && typeof document !== 'undefined') {
+                    focusFirstInvalidField(form instanceof HTMLFormElement ? form : document, invalidFields);
+                }
+                await onInvalid?.(fieldErrors, values);
+                return false;
+            }
+
+            await onValid?.(values);
+            setIsSubmitSuccessful(true);
+            return true;
+        } catch (error) {
+            // Errors of the callbacks, such as a failed request, are reported in `formState.submitError`
+            console.error('Submit handler error:', error);
+            setSubmitError(error);
+            return false;
+        } finally {
+            submitInFlight.current = false;
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSubmit = ((
+        eventOrOnValid: React.FormEvent<HTMLFormElement> | SubmitHandler,
+        onInvalid?: InvalidSubmitHandler<FieldErrorFor<M>>,
+    ) => {
+        if (typeof eventOrOnValid === 'function') {
+            return async (event?: React.FormEvent<HTMLFormElement>): Promise<void> => {
+                await submit(event, eventOrOnValid, onInvalid);
+            };
+        }
+        return submit(eventOrOnValid);
+    }) as HandleSubmit<FieldErrorFor<M>>;
+
+    const getFieldId = (name: string): string => `${formId}-${normalizePath(name)}`;
+
+    const getErrorId = (name: string): string => `${getFieldId(name)}-error`;
+
+    // The id of the first radio button wired for each radio group. The group has no element of its own to link to.
+    const radioIds = useRef<{ [key: string]: string }>({});
+
+    // The id of the element to link to and focus for a field: its input, or the first button of a radio group.
+    const getFieldTargetId = (name: string): string => radioIds.current[normalizePath(name)] ?? getFieldId(name);
+
+    // The `value`, or `checked` state, that an input of the given type shows for a field's value.
+    const toValueProps = (
+        name: string,
+        fieldValue: unknown,
+        { type, value }: { type?: string, value?: string },
+    ): Pick<FieldProps, 'value' | 'checked'> => {
+        const fieldOptions = getFieldOptions(validationOptions, name);
+        if (type === 'checkbox') {
+            // A checkbox with a `value` is one of a group whose field holds the values of the checked boxes,
+            // unless the field holds a boolean: the `value` is then only what the box submits
+            if (value === undefined) {
+                return { checked: Boolean(fieldValue) };
+            }
+            if (typeof fieldValue === 'boolean') {
+                return { value, checked: fieldValue };
+            }
+            return { value, checked: Array.isArray(fieldValue) && fieldValue.includes(value) };
+        }
+        if (type === 'radio') {
+            return { value, checked: fieldValue === value };
+        }
+        if (type === 'file') {
+            // File inputs can only be set by the user
+            return {};
+        }
+        if (fieldOptions?.format || fieldOptions?.mask) {
+            const text = fieldOptions.format
+                ? fieldOptions.format(fieldValue)
+                : String(fieldValue ?? '');
+            return { value: fieldOptions.mask ? applyMask(text, fieldOptions.mask) : text };
+        }
+        if (typeof fieldValue === 'number' && Number.isNaN(fieldValue)) {
+            return { value: '' };
+        }
+        return { value: (fieldValue ?? '') as FieldProps['value'] };
+    };
+
+    // The id, name, handlers and ARIA attributes of an input, for `getFieldProps` and `register`.
+    const getFieldAttributes = (name: string, type?: string, value?: string): Omit<FieldProps, 'value' | 'checked' | 'onChange' | 'onBlur'> => {
+        // Auxiliary `nestedFieldOf` inputs show the error of their main field
+        const validatedPath = getValidatedPath(validationOptions, name);
+        const isInvalid = hasFieldError(errors[validatedPath]) || hasFieldError(serverErrors[validatedPath]);
+        const id = type === 'radio' ? `${getFieldId(name)}-${value}` : getFieldId(name);
+        if (type === 'radio') {
+            radioIds.current[normalizePath(name)] ??= id;
+        }
+
+        return {
+            id,
+            name,
+            ...(type !== undefined && { type }),
+            'aria-invalid': isInvalid,
+            // Only point at the message element while there is a message to render
+            'aria-describedby': isInvalid ? getErrorId(validatedPath) : undefined,
+            'aria-errormessage': isInvalid ? getErrorId(validatedPath) : undefined,
+        };
+    };
+
+    // The props of `getFieldProps` without its handlers.
+    const getInputProps = (name: string, { type, value }: { type?: string, value?: string } = {}): InputProps => {
+        const editingValue = editingValues[normalizePath(name)];
+        return {
+            ...getFieldAttributes(name, type, value),
+            ...(editingValue !== undefined && type !== 'checkbox' && type !== 'radio' && type !== 'file'
+                ? { value: editingValue }
+                : toValueProps(name, getIn(formValues, name), { type, value })),
+        };
+    };
+
+    const getFieldProps = (name: string, options?: { type?: string, value?: string }): FieldProps => ({
+        ...getInputProps(name, options),
+        onChange: handleChange,
+        onBlur: handleBlur,
+    });
+
+    const register = (name: string, { type, value }: { type?: string, value?: string } = {}): RegisterProps => {
+        const path = normalizePath(name);
+        // Radio buttons and the boxes of a checkbox group share a name, so they are told apart by their value
+        const key = value === undefined ? path : `${path}=${value}`;
+        registerRefs.current[key] ??= (element: FieldElement | null): void => {
+            if (element) {
+                registeredElements.current[key] = { name: path, element };
+            } else {
+                delete registeredElements.current[key];
+            }
+        };
+
+        const { value: shownValue, checked } = toValueProps(name, getIn(formValues, name), { type, value });
+        let defaultProps: Pick<RegisterProps, 'value' | 'defaultValue' | 'defaultChecked'>;
+        if (checked !== undefined) {
+            defaultProps = value === undefined ? { defaultChecked: checked } : { value, defaultChecked: checked };
+        } else {
+            defaultProps = type === 'file' ? {} : { defaultValue: shownValue };
+        }
+
+        return {
+            ...getFieldAttributes(name, type, value),
+            ...defaultProps,
+            onChange: handleChange,
+            onBlur: handleBlur,
+            ref: registerRefs.current[key],
+        };
+    };
+
+    // Shows values in the inputs attached with `register`, for the fields at or within `path`.
+    const writeRegisteredElements = (values: FormValues, path?: string): void => {
+        for (const { name, element } of Object.values(registeredElements.current)) {
+            if (path === undefined || isPathWithin(name, path)) {
+                writeFieldElement(element, toValueProps(name, getIn(values, name), { type: element.type, value: element.value }));
+                delete maskedInputValues.current[name];
+            }
+        }
+    };
+
+    const getErrorProps = (name: string): ErrorProps => ({
+        id: getErrorId(getValidatedPath(validationOptions, name)),
+    });
+
+    // Aborts the runs, and drops the scheduled runs, of the fields that pass `isAffected`.
+    const cancelValidation = (isAffected: (path: string) => boolean): void => {
+        for (const path in validationRuns.current) {
+            if (isAffected(path)) {
+                validationRuns.current[path].abort();
+                delete validationRuns.current[path];
+            }
+        }
+        for (const path in debounceTimers.current) {
+            if (isAffected(path)) {
+                cancelDebouncedValidation(path);
+            }
+        }
+    };
+
+    // Item state moves with the items. Runs still in flight for the items would write to stale indices, so they are dropped.
+    const reindexArray = (name: string, mapIndex: (index: number) => number | undefined): void => {
+        const arrayPath = normalizePath(name);
+        cancelValidation(path => path.startsWith(`${arrayPath}[`));
+
+        messageSources.current = reindexPaths(messageSources.current, arrayPath, mapIndex);
+        setErrors((prevState) => reindexPaths(prevState, arrayPath, mapIndex));
+        setWarnings((prevState) => reindexPaths(prevState, arrayPath, mapIndex));
+        setPendingFields((prevState) => reindexPaths(prevState, arrayPath, () => undefined));
+        setValidatingFields((prevState) => reindexPaths(prevState, arrayPath, () => undefined));
+        setTouchedFields((prevState) => reindexPaths(prevState, arrayPath, mapIndex));
+        setEditingValues((prevState) => reindexPaths(prevState, arrayPath, mapIndex));
+        setServerErrorsState((prevState) => reindexPaths(prevState, arrayPath, mapIndex));
+    };
+
+    const reset = (values?: FormValues, { keepErrors = false, keepDirty = false }: ResetOptions = {}): void => {
+        cancelValidation(() => true);
+        setFormValues(values ?? defaultValues);
+        if (uncontrolled) {
+            writeRegisteredElements(values ?? defaultValues);
+        }
+        if (values && !keepDirty) {
+            setDefaultValues(values);
+        }
+        if (!keepErrors) {
+            messageSources.current = {};
+            setErrors({});
+            setWarnings({});
+            setServerErrorsState({});
+        }
+
+        setPendingFields({});
+        setValidatingFields({});
+        setTouchedFields({});
+        setEditingValues({});
+        setSubmitCount(0);
+        setIsSubmitSuccessful(false);
+        setSubmitError(undefined);
+    };
+
+    const resetField = (name: string): void => {
+        const path = normalizePath(name);
+        cancelValidation(fieldPath => isPathWithin(fieldPath, path));
+
+        setFormValues((prevState) => setIn(prevState, path, getIn(defaultValues, path)));
+        if (uncontrolled) {
+            writeRegisteredElements(defaultValues, path);
+        }
+        messageSources.current = omitWithin(messageSources.current, path);
+        setErrors((prevState) => omitWithin(prevState, path));
+        setWarnings((prevState) => omitWithin(prevState, path));
+        setServerErrorsState((prevState) => omitWithin(prevState, path));
+        setPendingFields((prevState) => omitWithin(prevState, path));
+        setValidatingFields((prevState) => omitWithin(prevState, path));
+        setTouchedFields((prevState) => omitWithin(prevState, path));
+        setEditingValues((prevState) => omitWithin(prevState, path));
+    };
+
+    // Fields that `when` turns off lose their messages as soon as the values turn them off, rather than when they are next validated.
+    useEffect(() => {
+        const turnedOff = [...Object.keys(storedErrors), ...Object.keys(storedWarnings)].filter(path =>
+            (hasFieldError(storedErrors[path]) || hasFieldError(storedWarnings[path]))
+            && !isFieldEnabled(getFieldOptions(validationOptions, path), formValues));
+        if (turnedOff.length === 0) {
+            return;
+        }
+
+        const omitTurnedOff = <T>(map: { [key: string]: T }): { [key: string]: T } =>
+            turnedOff.reduce((nextMap, path) => omitWithin(nextMap, path), map);
+        // Runs still in flight started while the fields were on
+        for (const path of turnedOff) {
+            validationRuns.current[path]?.abort();
+            delete validationRuns.current[path];
+            clearTimeout(debounceTimers.current[path]);
+            delete debounceTimers.current[path];
+        }
+        messageSources.current = omitTurnedOff(messageSources.current);
+        setErrors(omitTurnedOff);
+        setWarnings(omitTurnedOff);
+        setPendingFields(omitTurnedOff);
+        setValidatingFields(omitTurnedOff);
+    }, [storedErrors, storedWarnings, setErrors, validationOptions, formValues]);
+
+    const dirtyFields = useMemo(() => {
+        const dirty: FieldFlags = {};
+        for (const path of getChangedPaths(defaultValues, formValues)) {
+            dirty[path] = true;
+        }
+        return dirty;
+    }, [defaultValues, formValues]);
+
+    const getDirtyValues = (): FormValues => {
+        // The values of an `uncontrolled` form are only known once they are read from its inputs
+        const values = uncontrolled ? getValues() : formValues;
+        const changedPaths = uncontrolled ? getChangedPaths(defaultValues, values) : Object.keys(dirtyFields);
+        let dirtyValues: FormValues = {};
+        for (const path of changedPaths.map(toDirtyValuePath)) {
+            dirtyValues = setIn(dirtyValues, path, getIn(values, path));
+        }
+        return dirtyValues;
+    };
+
+    const formState: FormState = {
+        isSubmitting,
+        isValidating: Object.values(validatingFields).some(Boolean),
+        validatingFields,
+        submitCount,
+        isSubmitSuccessful,
+        submitError,
+        isValid: !Object.keys(errors).some(name => hasFieldError(errors[name]))
+            && !Object.keys(serverErrors).some(name => hasFieldError(serverErrors[name])),
+        isDirty: Object.keys(dirtyFields).length > 0,
+        dirtyFields,
+        touchedFields,
     };
 
     return {
+        values: formValues,
+        errors,
         handleDatePickerChange,
         handleDropdownChange,
         handleChange,
@@ -191,37 +1039,40 @@ export function useForm({
         handleCustomChange,
         handleSubmit,
         validateAll, // newly exposed
+        pendingFields,
+        warnings,
+        formState,
+        serverErrors,
+        setServerErrors,
+        reset,
+        resetField,
+        getDirtyValues,
+        getFieldProps,
+        getErrorProps,
+        register,
+        getValues,
+        control: {
+            formValues,
+            setFormValues,
+            errors,
+            serverErrors,
+            validationOptions,
+            submitCount,
+            getFieldId: getFieldTargetId,
+            getInputProps,
+            validateField: async (name: string, value?: unknown) => (await validate(name, value)).isValid,
+            shouldValidateOnChange: (name: string) => shouldValidateOn('change', name),
+            reindexArray,
+        },
     };
 }
 
-/** Validation options mapped to any field name that needs validation. */
-export interface ValidationOption {
-    /** When this field changes, run the provided list of 'Validation' on the field's value. */
-    validations?: Array<Validation>;
-    /** When this field changes, also run validation on the 'relatedFields', if there are validation errors. */
-    relatedFields?: string[];
-    /** When this field changes, call validation on the named 'nestedFieldOf' field instead. Used for auxiliary inputs (like hour/minute) that validate against a main field (like date). */
-    nestedFieldOf?: string;
-}
-
-/** Signature of a validation function and corresponding error message */
-export interface Validation {
-    isValid: (arg: unknown, formValues?: FormValues) => boolean | Promise<boolean>;
-    errorMessage: string;
-}
-
-/** React state object returned by useState and passed into the useForm hook by the caller, to store form values. */
-export interface FormValues {
-    [key: string]: unknown;
-}
-
-/** React state object returned by useState and passed into the useForm hook by the caller, to store form validation error messages. */
-export interface FormErrors {
-    [key: string]: string;
-}
-
 /** A map of event handlers to attach to form field events. */
-interface UseForm {
+export interface UseForm<E extends FieldError = string> {
+    /** The form's values: `formValues`, or the form's own values when it keeps them. */
+    values: FormValues;
+    /** The form's errors, keyed by field path: `errors`, or the form's own errors when it keeps them. */
+    errors: FormErrors<E>;
     /** Attach `handleDatePickerChange` to a onInput of a DatePicker */
     handleDatePickerChange: (event: CustomEvent & { target: HTMLElement & { name: string } }) => void;
     /** Attach `handleDropdownChange` to a onChange of a Dropdown */
@@ -232,8 +1083,151 @@ interface UseForm {
     handleBlur: (event: React.FocusEvent<HTMLInputElement>) => void;
     /** Pluggable handler for arbitrary field value changes */
     handleCustomChange: (field: string, value: unknown) => void;
-    /** Attach `handleSubmit` to any element that should trigger whole form validation. */
-    handleSubmit: (event: React.FormEvent<HTMLFormElement>) => Promise<boolean>;
+    /**
+     * Attach `handleSubmit` to any element that should trigger whole form validation.
+     * Call it with callbacks, `handleSubmit(onValid, onInvalid)`, to get a submit handler that passes them the latest values.
+     */
+    handleSubmit: HandleSubmit<E>;
     /** Validate all fields manually. */
     validateAll: () => Promise<boolean>;
+    /** Fields whose debounced validations have not produced a result for the latest value yet. */
+    pendingFields: FieldFlags;
+    /** Messages of failing `warning` rules, keyed like `errors`. They do not make the form invalid. */
+    warnings: FormErrors<E>;
+    /** Status of the form and its fields, for spinners and disabled submit buttons. */
+    formState: FormState;
+    /** Errors set with `setServerErrors`, keyed by field path. A field's server error is cleared when the user edits the field. */
+    serverErrors: FormErrors;
+    /**
+     * Returns the form to `values`, or to its default values, and clears its errors, touched fields and submit state.
+     * `values` become the new default values, unless `keepDirty` is set.
+     */
+    reset: (values?: FormValues, options?: ResetOptions) => void;
+    /** Returns a field, and the fields inside it, to its default value and clears its errors and touched state. */
+    resetField: (name: string) => void;
+    /** The values that differ from the default values, nested like `formValues`. A changed array is included whole. */
+    getDirtyValues: () => FormValues;
+    /** Shows the field errors of an API error response. `adapter` reads the payload; the default one reads problem details and `{ field: [messages] }` objects. */
+    setServerErrors: (payload: unknown, adapter?: ServerErrorAdapter) => void;
+    /**
+     * Props that wire an input to the form: its `name`, `value` (or `checked` for checkboxes and radios), handlers and ARIA attributes.
+     * Pass the input's `type` for checkboxes, and both `type: 'radio'` and the option's `value` for radios.
+     */
+    getFieldProps: (name: string, options?: { type?: string, value?: string }) => FieldProps;
+    /** Props for the element showing the field's error message, so the field's `aria-describedby` points at it. */
+    getErrorProps: (name: string) => ErrorProps;
+    /**
+     * Props that attach an input to an `uncontrolled` form: like `getFieldProps`, with a `ref` and a `defaultValue`
+     * (or `defaultChecked`) in place of the `value`, so that the input keeps its own value.
+     */
+    register: (name: string, options?: { type?: string, value?: string }) => RegisterProps;
+    /** The current values. In an `uncontrolled` form, they are read from the inputs attached with `register`. */
+    getValues: () => FormValues;
+    /** Pass to hooks built on top of the form, such as `useFieldArray`. */
+    control: FormControl;
+}
+
+/** Receives the values of a valid form. May return a promise, such as a request, which `formState.isSubmitting` waits for. */
+export type SubmitHandler = (values: FormValues) => unknown;
+
+/** Receives the errors of the invalid fields, and the values, after a failed submit. */
+export type InvalidSubmitHandler<E extends FieldError = string> = (errors: FormErrors<E>, values: FormValues) => unknown;
+
+/**
+ * `handleSubmit(event)` validates the form and resolves to whether it is valid.
+ * `handleSubmit(onValid, onInvalid)` returns a submit handler that calls one of them. Submits are ignored while one is running.
+ */
+export interface HandleSubmit<E extends FieldError = string> {
+    (event: React.FormEvent<HTMLFormElement>): Promise<boolean>;
+    (onValid: SubmitHandler, onInvalid?: InvalidSubmitHandler<E>): (event?: React.FormEvent<HTMLFormElement>) => Promise<void>;
+}
+
+/** Options of `reset`. */
+export interface ResetOptions {
+    /** Keep `errors`, `warnings` and `serverErrors`. */
+    keepErrors?: boolean;
+    /** Keep the default values, so that fields that differ from them stay dirty. */
+    keepDirty?: boolean;
+}
+
+/** Flags keyed by field path, e.g. `{ email: true, 'items[0].qty': true }`. */
+export interface FieldFlags {
+    [key: string]: boolean;
+}
+
+/** Status of a form, returned by `useForm` as `formState`. */
+export interface FormState {
+    /** `handleSubmit` is running. */
+    isSubmitting: boolean;
+    /** At least one field has an async rule in flight. */
+    isValidating: boolean;
+    /** The fields with an async rule in flight. */
+    validatingFields: FieldFlags;
+    /** How many times `handleSubmit` has completed its validation. */
+    submitCount: number;
+    /** The last submit found no errors, and its `onValid` callback completed. */
+    isSubmitSuccessful: boolean;
+    /** What the `onValid` or `onInvalid` callback of the last submit threw, such as a failed request. */
+    submitError: unknown;
+    /** No field has an error or a server error. Fields that have not been validated yet count as valid. */
+    isValid: boolean;
+    /** At least one value differs from the default values. */
+    isDirty: boolean;
+    /** The paths of the values that differ from the default values. */
+    dirtyFields: FieldFlags;
+    /** The fields that have been blurred at least once. */
+    touchedFields: FieldFlags;
+}
+
+/** Props returned by `getFieldProps`, to spread onto an input. */
+export interface FieldProps {
+    id: string;
+    name: string;
+    type?: string;
+    value?: string | number | readonly string[];
+    checked?: boolean;
+    onChange: (event: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => void;
+    onBlur: (event: React.FocusEvent<HTMLInputElement>) => void;
+    'aria-invalid': boolean;
+    /** The id of the error message element while the field has an error. */
+    'aria-describedby'?: string;
+    'aria-errormessage'?: string;
+}
+
+/** The props of `getFieldProps` other than its handlers. */
+export type InputProps = Omit<FieldProps, 'onChange' | 'onBlur'>;
+
+/** Props returned by `register`, to spread onto an input of an `uncontrolled` form. */
+export interface RegisterProps extends Omit<FieldProps, 'value' | 'checked'> {
+    /** The option value of a radio button or of a box of a checkbox group. */
+    value?: string;
+    defaultValue?: string | number | readonly string[];
+    defaultChecked?: boolean;
+    ref: (element: FieldElement | null) => void;
+}
+
+/** Props returned by `getErrorProps`, to spread onto the element showing a field's error message. */
+export interface ErrorProps {
+    id: string;
+}
+
+/** Access to a form's state for hooks built on top of `useForm`. */
+export interface FormControl {
+    formValues: FormValues;
+    setFormValues: React.Dispatch<React.SetStateAction<FormValues>>;
+    errors: FormErrors<FieldError>;
+    serverErrors: FormErrors;
+    validationOptions: { [key: string]: ValidationOption };
+    /** How many times the form has been submitted. */
+    submitCount: number;
+    /** The id `getFieldProps` gives the input of a field, or for a radio group, the id of its first radio button. */
+    getFieldId: (name: string) => string;
+    /** The props of `getFieldProps` without its handlers, for components that pass their own. */
+    getInputProps: (name: string, options?: { type?: string, value?: string }) => InputProps;
+    /** Validate a field, using `value` in place of its current value when given. */
+    validateField: (name: string, value?: unknown) => Promise<boolean>;
+    /** Whether the form's `mode` validates this field when it changes. */
+    shouldValidateOnChange: (name: string) => boolean;
+    /** Move the errors and touched state of the items of an array. `mapIndex` returns an item's new index, or `undefined` when it was removed. */
+    reindexArray: (name: string, mapIndex: (index: number) => number | undefined) => void;
 }
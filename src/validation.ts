@@ -0,0 +1,327 @@
+import { Translate } from './i18n';
+import { resolveMessage } from './messages';
+import { expandPath, fillWildcards, findByPath, formatPath, getIn, normalizePath, setIn, toPath, WILDCARD } from './paths';
+import { CriteriaMode, FieldError, FieldErrorFor, FormErrors, FormValues, Rule, Validation, ValidationContext, ValidationOption } from './types';
+
+// The validation engine behind `useForm`. It has no React dependency, so the same
+// `validationOptions` can validate request bodies on the server.
+
+/** Validation options keyed by field path. */
+export type ValidationOptions = { [key: string]: ValidationOption };
+
+/** Looks up the options of a field path, falling back to wildcard options such as `items[].qty`. */
+export const getFieldOptions = (validationOptions: ValidationOptions, path: string): ValidationOption | undefined =>
+    findByPath(validationOptions, path)?.value;
+
+/** Resolves a path named in a field's options. Wildcards in it refer to the same array item as the field. */
+export const resolveRelativePath = (validationOptions: ValidationOptions, path: string, relativePath: string): string => {
+    const indices = findByPath(validationOptions, path)?.indices || [];
+    return normalizePath(fillWildcards(relativePath, indices));
+};
+
+/** The field whose validations run for `path`: its `nestedFieldOf` target, or the field itself. */
+export const getValidatedPath = (validationOptions: ValidationOptions, path: string): string => {
+    const nestedFieldOf = getFieldOptions(validationOptions, path)?.nestedFieldOf;
+    return nestedFieldOf ? resolveRelativePath(validationOptions, path, nestedFieldOf) : normalizePath(path);
+};
+
+/**
+ * The `Validation` of an entry in a field's `validations`. A bare rule such as `hasMinLength(3)` gets its default
+ * message, and so does a `Validation` whose `isValid` is one and that sets no message of its own.
+ * The field's `label` is added to the message params.
+ */
+export const toValidation = (entry: Validation | Rule, fieldOptions?: ValidationOption): Validation => {
+    const validation: Validation = typeof entry === 'function' ? { isValid: entry as unknown as Validation['isValid'] } : entry;
+    const meta = (validation.isValid as Partial<Rule>).rule;
+    const usesDefaultMessage = meta && !validation.errorMessage && !validation.messageKey;
+    if (!usesDefaultMessage && fieldOptions?.label === undefined) {
+        return validation;
+    }
+
+    return {
+        ...validation,
+        ...(usesDefaultMessage && { messageKey: meta.name, errorMessage: meta.message }),
+        params: {
+            ...(fieldOptions?.label !== undefined && { label: fieldOptions.label }),
+            ...(usesDefaultMessage && meta.params),
+            ...validation.params,
+        },
+    };
+};
+
+/** How long a rule waits on change before running: its own `debounceMs`, else the field's. */
+export const getDebounceMs = (fieldOptions: ValidationOption | undefined, validation: Validation): number =>
+    validation.debounceMs ?? fieldOptions?.debounceMs ?? 0;
+
+/** Whether a field's rules run for `values`: it is not turned off with `enabled: false`, and its `when` holds. */
+export const isFieldEnabled = (fieldOptions: ValidationOption | undefined, values: FormValues): boolean =>
+    fieldOptions?.enabled !== false && (fieldOptions?.when?.(values) ?? true);
+
+/** Every field path `validateForm` checks: the keys of `validationOptions`, with wildcard keys expanded over the array items in `values`. */
+export const listFieldPaths = (values: FormValues, validationOptions: ValidationOptions): string[] =>
+    Object.keys(validationOptions).flatMap(key => (key.includes(WILDCARD) ? expandPath(key, values) : [key]));
+
+// Index and sibling values for fields inside array items, such as `items[2].qty`.
+const getItemContext = (path: string, values: FormValues): Pick<ValidationContext, 'index' | 'siblings'> => {
+    const segments = toPath(path);
+    const indexSegment = [...segments].reverse().find(segment => /^\d+$/.test(segment));
+    if (indexSegment === undefined) {
+        return {};
+    }
+    return { index: Number(indexSegment), siblings: getIn(values, formatPath(segments.slice(0, -1))) };
+};
+
+/** Whether a field error of any `criteriaMode` holds at least one message. */
+export const hasFieldError = (error: FieldError | undefined): boolean => {
+    if (!error) {
+        return false;
+    }
+    if (typeof error === 'string' || Array.isArray(error)) {
+        return error.length > 0;
+    }
+    return Object.keys(error).length > 0;
+};
+
+/** A failing rule of a field, with what its message was worded from, so that it can be worded again in another locale. */
+export interface RuleFailure {
+    ruleKey: string;
+    message: string;
+    validation: Validation;
+    value: unknown;
+    formValues: FormValues;
+}
+
+/** Formats the failing rules of a field for the `criteriaMode`. */
+export const toFieldError = <M extends CriteriaMode>(failures: RuleFailure[], criteriaMode: M): FieldErrorFor<M> => {
+    if (criteriaMode === 'all') {
+        return failures.map(failure => failure.message) as FieldErrorFor<M>;
+    }
+    if (criteriaMode === 'byRule') {
+        const ruleErrors: { [ruleKey: string]: string } = {};
+        for (const failure of failures) {
+            ruleErrors[failure.ruleKey] = failure.message;
+        }
+        return ruleErrors as FieldErrorFor<M>;
+    }
+    return (failures.length ? failures[failures.length - 1].message : '') as FieldErrorFor<M>;
+};
+
+/** Options of `validateField`. */
+export interface ValidateFieldOptions<M extends CriteriaMode = 'single'> {
+    value?: unknown;
+    /** Stops running further rules once aborted. */
+    signal?: AbortSignal;
+    /** Only run the rules that are not debounced. */
+    skipDebounced?: boolean;
+    /** How failing rules are reported in `error`. Defaults to `single`. */
+    criteriaMode?: M;
+    /** Stop at the first failing rule, for fields that do not set their own `bail`. */
+    bail?: boolean;
+    /** Resolves the messages of `messageKey` rules. Defaults to the bundled English catalog. */
+    translate?: Translate;
+    /** Called when a rule returns a promise, before waiting for it. */
+    onPending?: () => void;
+    /** Skip the rules, as for a field whose input is disabled. */
+    disabled?: boolean;
+}
+
+/** The failing rules of a field, before `validateField` formats them. */
+export interface FieldFailures {
+    /** The field that was validated, as a normalized path. */
+    name: string;
+    failures: RuleFailure[];
+    warnings: RuleFailure[];
+}
+
+/** Runs the rules of a field, as `validateField` does, and returns the failing ones. */
+export async function checkField(
+    name: string,
+    values: FormValues,
+    validationOptions: ValidationOptions,
+    {
+        value,
+        signal,
+        skipDebounced = false,
+        bail = false,
+        translate,
+        onPending,
+        disabled = false,
+    }: Omit<ValidateFieldOptions<CriteriaMode>, 'criteriaMode'> = {},
+): Promise<FieldFailures> {
+    const failures: RuleFailure[] = [];
+    const warnings: RuleFailure[] = [];
+
+    const nameToValidate = getValidatedPath(validationOptions, name);
+    // If `nestedFieldOf` is provided, run that validation instead.
+    // `nestedFieldOf` is used for auxiliary inputs (like hour/minute) that validate against a main field (like date).
+    const namedValidationOptions = getFieldOptions(validationOptions, nameToValidate);
+
+    // Use the provided current value if available, otherwise fall back to form values
+    const valueToValidate = value !== undefined ? value : getIn(values, nameToValidate);
+
+    // Create updated form values for cross-field validation
+    const updatedFormValues = value !== undefined
+        ? setIn(values, name, value)
+        : values;
+
+    // A disabled field passes with no error, which clears the one it may be showing
+    const isEnabled = !disabled && isFieldEnabled(namedValidationOptions, updatedFormValues);
+    const allValidations = (isEnabled ? namedValidationOptions?.validations || [] : []).map(entry => toValidation(entry, namedValidationOptions));
+    // A partial run only checks the immediate rules; the debounced ones run later in a full run.
+    const validations = skipDebounced
+        ? allValidations.filter(validation => getDebounceMs(namedValidationOptions, validation) <= 0)
+        : allValidations;
+    const shouldBail = namedValidationOptions?.bail ?? bail;
+
+    const context: ValidationContext = {
+        signal,
+        ...getItemContext(nameToValidate, updatedFormValues),
+    };
+
+    for (const validation of validations) {
+        const ruleKey = validation.key ?? String(allValidations.indexOf(validation));
+        if (validation.skipIfInvalid && failures.length > 0) {
+            continue;
+        }
+
+        try {
+            const outcome = validation.isValid(valueToValidate, updatedFormValues, context);
+            if (outcome instanceof Promise) {
+                onPending?.();
+            }
+            const result = await outcome;
+
+            if (signal?.aborted) {
+                break;
+            }
+
+            if (!result) {
+                const failed = validation.severity === 'warning' ? warnings : failures;
+                failed.push({
+                    ruleKey,
+                    message: resolveMessage(validation, valueToValidate, updatedFormValues, translate),
+                    validation,
+                    value: valueToValidate,
+                    formValues: updatedFormValues,
+                });
+            }
+        } catch (e) {
+            if (signal?.aborted) {
+                break;
+            }
+            console.error(`Validation error for ${nameToValidate}:`, e);
+            // TODO: consider bubbling this error up instead of failing silently
+            const failed = validation.severity === 'warning' ? warnings : failures;
+            failed.push({
+                ruleKey,
+                message: resolveMessage(validation, valueToValidate, updatedFormValues, translate) || 'Validation failed',
+                validation,
+                value: valueToValidate,
+                formValues: updatedFormValues,
+            });
+        }
+
+        // Unless bailing, keep running the remaining rules
+        if (shouldBail && failures.length > 0) {
+            break;
+        }
+    }
+
+    return { name: nameToValidate, failures, warnings };
+}
+
+/** Formats the failing rules of a field for the `criteriaMode`, as `validateField` reports them. */
+export const toFieldValidationResult = <M extends CriteriaMode>(
+    { name, failures, warnings }: FieldFailures,
+    criteriaMode: M,
+): FieldValidationResult<FieldErrorFor<M>> => ({
+    name,
+    isValid: failures.length === 0,
+    error: toFieldError(failures, criteriaMode),
+    warning: toFieldError(warnings, criteriaMode),
+});
+
+/**
+ * Validates one field against its options.
+ * If the field is `nestedFieldOf` another, the main field is validated instead, and `name` in the result is the main field.
+ * Pass `value` to validate a value that is not in `values` yet, such as the one from a change event.
+ * A field turned off with `when` or `enabled` runs no rules and is valid.
+ */
+export async function validateField<M extends CriteriaMode = 'single'>(
+    name: string,
+    values: FormValues,
+    validationOptions: ValidationOptions,
+    { criteriaMode = 'single' as M, ...options }: ValidateFieldOptions<M> = {},
+): Promise<FieldValidationResult<FieldErrorFor<M>>> {
+    return toFieldValidationResult(await checkField(name, values, validationOptions, options), criteriaMode);
+}
+
+// Aborted runs reject, like `fetch`, rather than report a result that is missing the fields they did not get to.
+const throwIfAborted = (signal: AbortSignal | undefined): void => {
+    if (signal?.aborted) {
+        throw signal.reason ?? createAbortError();
+    }
+};
+
+// `DOMException` is not a global before Node 17, so fall back to an `Error` with the same name.
+const createAbortError = (): Error => {
+    const message = 'The validation was aborted.';
+    if (typeof DOMException === 'function') {
+        return new DOMException(message, 'AbortError');
+    }
+    const error = new Error(message);
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Validates every field in `validationOptions` against `values`. Fields turned off with `when` or `enabled` pass.
+ * Rejects with an `AbortError` once `signal` is aborted.
+ */
+export async function validateForm<M extends CriteriaMode = 'single'>(
+    values: FormValues,
+    validationOptions: ValidationOptions,
+    {
+        signal,
+        criteriaMode,
+        bail,
+        translate,
+    }: { signal?: AbortSignal, criteriaMode?: M, bail?: boolean, translate?: Translate } = {},
+): Promise<FormValidationResult<FieldErrorFor<M>>> {
+    const errors: FormErrors<FieldErrorFor<M>> = {};
+    const warnings: FormErrors<FieldErrorFor<M>> = {};
+    let isValid = true;
+
+    for (const name of listFieldPaths(values, validationOptions)) {
+        throwIfAborted(signal);
+        // Auxiliary `nestedFieldOf` fields validate their main field, which only needs to run once
+        if (getValidatedPath(validationOptions, name) in errors) {
+            continue;
+        }
+        const result = await validateField(name, values, validationOptions, { signal, criteriaMode, bail, translate });
+        throwIfAborted(signal);
+        errors[result.name] = result.error;
+        warnings[result.name] = result.warning;
+        isValid = result.isValid && isValid;
+    }
+
+    return { isValid, errors, warnings };
+}
+
+/** Outcome of `validateField`. */
+export interface FieldValidationResult<E extends FieldError = string> {
+    /** The field that was validated, as a normalized path. */
+    name: string;
+    isValid: boolean;
+    /** The failing rules in the shape set by `criteriaMode`. Empty when the field is valid. */
+    error: E;
+    /** The failing `warning` rules, in the same shape. They do not affect `isValid`. */
+    warning: E;
+}
+
+/** Outcome of `validateForm`. */
+export interface FormValidationResult<E extends FieldError = string> {
+    isValid: boolean;
+    errors: FormErrors<E>;
+    warnings: FormErrors<E>;
+}
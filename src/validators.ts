@@ -1,27 +1,20 @@
+import { MessageParams, RuleMeta } from './types';
+
 // =============================================================================
 // HELPER UTILITIES
 // =============================================================================
 
 /**
- * Resolves field references (@fieldName) to actual values from formValues
+ * Attaches a rule name, params and optional default message to a validation function, so that it can be
+ * listed in `validations` as it is. Its message is the catalog entry for `name`, else `message`.
  */
-const resolveFieldRef = (arg: unknown, formValues?: { [key: string]: unknown }): unknown => {
-  if (typeof arg === 'string' && arg.startsWith('@') && formValues) {
-    const fieldName = arg.slice(1);
-    return formValues[fieldName];
-  }
-  return arg;
-};
+export const withRule = <F extends (...args: never[]) => boolean | Promise<boolean>>(
+  validator: F,
+  { name, params = {}, message }: { name: string, params?: MessageParams, message?: string },
+): F & { rule: RuleMeta } => Object.assign(validator, { rule: { name, params, message } });
 
-/**
- * Creates field-aware validators that can resolve field references
- */
-const createFieldAwareValidator = <T extends unknown[]>(
-  validator: (...args: T) => boolean | true
-) => (...args: T) => (value: unknown, formValues?: { [key: string]: unknown }): boolean | true => {
-  const resolvedArgs = args.map(arg => resolveFieldRef(arg, formValues)) as T;
-  return validator(value, ...resolvedArgs);
-};
+/** A built-in validator for values of type `T`, carrying its rule metadata. */
+type Validator<T> = ((value: T) => boolean | true) & { rule: RuleMeta };
 
 const withOptional = <T extends unknown[], R>(
   validator: (...args: T) => R,
@@ -50,51 +43,53 @@ const matches = (regex: RegExp): ((value: string) => boolean | true) =>
 // BASIC VALIDATORS
 // =============================================================================
 
-export const isRequired = (value: unknown): boolean => {
+export const isRequired = withRule((value: unknown): boolean => {
   if (value === null || value === undefined) return false;
   if (typeof value === 'string') return value.trim().length > 0;
   if (typeof value === 'number') return !isNaN(value);
   if (typeof value === 'boolean') return true;
   if (Array.isArray(value)) return value.length > 0;
   return Boolean(value);
-};
+}, { name: 'isRequired' });
 
-export const hasMinLength = (minLength: number): ((value: string) => boolean | true) =>
-  withOptional((value: string): boolean => value.length >= minLength);
+export const hasMinLength = (minLength: number): Validator<string> =>
+  withRule(withOptional((value: string): boolean => value.length >= minLength), { name: 'hasMinLength', params: { count: minLength } });
 
-export const hasMaxLength = (maxLength: number): ((value: string) => boolean | true) =>
-  withOptional((value: string): boolean => value.length <= maxLength);
+export const hasMaxLength = (maxLength: number): Validator<string> =>
+  withRule(withOptional((value: string): boolean => value.length <= maxLength), { name: 'hasMaxLength', params: { count: maxLength } });
 
 // =============================================================================
 // STRING / PATTERN VALIDATORS
 // =============================================================================
 
-export const isAsciiAlphanumeric = matches(/^[a-zA-Z0-9]+$/);
-export const isAlphaOnly = matches(/^[a-zA-Z]+$/);
-export const isNumericOnly = matches(/^\d+$/);
-export const isValidName = matches(/^[a-zA-Z\s\-']+$/);
-export const isValidStreetAddress = matches(/^[a-zA-Z0-9\s\-'.#,]+$/);
-export const isValidUSZipCode = matches(/^\d{5}(-\d{4})?$/);
-export const isValidCanadianPostalCode = matches(/^[A-Z]\d[A-Z] \d[A-Z]\d$/i);
-export const isValidHexColor = matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/);
-export const isValidTime = matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/);
+export const isAsciiAlphanumeric = withRule(matches(/^[a-zA-Z0-9]+$/), { name: 'isAsciiAlphanumeric' });
+export const isAlphaOnly = withRule(matches(/^[a-zA-Z]+$/), { name: 'isAlphaOnly' });
+export const isNumericOnly = withRule(matches(/^\d+$/), { name: 'isNumericOnly' });
+export const isValidName = withRule(matches(/^[a-zA-Z\s\-']+$/), { name: 'isValidName' });
+export const isValidStreetAddress = withRule(matches(/^[a-zA-Z0-9\s\-'.#,]+$/), { name: 'isValidStreetAddress' });
+export const isValidUSZipCode = withRule(matches(/^\d{5}(-\d{4})?$/), { name: 'isValidUSZipCode' });
+// The space is optional, for the unmasked value of an `A9A 9A9` mask
+export const isValidCanadianPostalCode = withRule(matches(/^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i), { name: 'isValidCanadianPostalCode' });
+export const isValidHexColor = withRule(matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/), { name: 'isValidHexColor' });
+export const isValidTime = withRule(matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9])?$/), { name: 'isValidTime' });
 
-export const matchesPattern = (pattern: RegExp): ((value: string) => boolean | true) => matches(pattern);
+export const matchesPattern = (pattern: RegExp): Validator<string> =>
+  withRule(matches(pattern), { name: 'matchesPattern', params: { pattern } });
 
 // =============================================================================
 // EMAIL / URL VALIDATORS
 // =============================================================================
 
-export const isValidEmail = matches(/^[^\s@]+@[^\s@]+\.[^\s@]+$/);
+export const isValidEmail = withRule(matches(/^[^\s@]+@[^\s@]+\.[^\s@]+$/), { name: 'isValidEmail' });
 
-export const isValidURL = withOptional((value: string) => {
+export const isValidURL = withRule(withOptional((value: string) => {
   try {
     new URL(value);
     return true;
   } catch {
     return false;
   }
-});
+}), { name: 'isValidURL' });
 
 // =============================================================================
 // PHONE VALIDATORS
@@ -102,15 +97,15 @@ export const isValidURL = withOptional((value: string) => {
 
 const cleanDigits = (value: string): string => value.replace(/\D/g, '');
 
-export const isValidUSPhone = withOptional((value: string) => {
+export const isValidUSPhone = withRule(withOptional((value: string) => {
   const cleaned = cleanDigits(value);
   return cleaned.length === 10 || (cleaned.length === 11 && cleaned.startsWith('1'));
-});
+}), { name: 'isValidUSPhone' });
 
-export const isValidInternationalPhone = withOptional((value: string) => {
+export const isValidInternationalPhone = withRule(withOptional((value: string) => {
   const cleaned = cleanDigits(value);
   return cleaned.length >= 7 && cleaned.length <= 15;
-});
+}), { name: 'isValidInternationalPhone' });
 
 // =============================================================================
 // DATE & TIME VALIDATORS
@@ -122,26 +117,29 @@ export const isAfter = (value: Date | string | number, reference: Date | string
     return !d1 || !d2 ? true : d1 > d2;
 };
 
-export const isBefore = (reference: Date | string | number): ((value: Date | string | number) => boolean | true) =>
-  withOptional((value: Date | string | number): boolean => {
+export const isBefore = (reference: Date | string | number): Validator<Date | string | number> =>
+  withRule(withOptional((value: Date | string | number): boolean => {
     const d1 = parseDate(value);
     const d2 = parseDate(reference);
     return !d1 || !d2 ? true : d1 < d2;
-  });
+  }), { name: 'isBefore', params: { date: reference } });
 
-export const isWithinLastYear = withOptional((value: string | Date): boolean => {
+export const isWithinLastYear = withRule(withOptional((value: string | Date): boolean => {
   const d = parseDate(value);
   if (!d) return true;
   const oneYearAgo = new Date();
   oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
   return d >= oneYearAgo;
-});
+}), { name: 'isWithinLastYear' });
 
-export const isInTheFuture = (value: Date | string | number): boolean => isAfter(value, new Date());
+export const isInTheFuture = withRule(
+  (value: Date | string | number): boolean => isAfter(value, new Date()),
+  { name: 'isInTheFuture' },
+);
 
 // Minimum age (birth date)
-export const isBirthDateMinimumAge = (minAge: number): ((birthDate: string | Date) => boolean | true) =>
-  withOptional((birthDate: string | Date): boolean => {
+export const isBirthDateMinimumAge = (minAge: number): Validator<string | Date> =>
+  withRule(withOptional((birthDate: string | Date): boolean => {
     const birth = parseDate(birthDate);
     if (!birth) return true;
     const today = new Date();
@@ -151,7 +149,7 @@ export const isBirthDateMinimumAge = (minAge: number): ((birthDate: string | Dat
       age--;
     }
     return age >= minAge;
-  });
+  }), { name: 'isBirthDateMinimumAge', params: { count: minAge } });
 
 // Paired dates
 export const areDateFieldsPaired = (date1: unknown, date2: unknown): boolean => {
@@ -179,40 +177,40 @@ const CANADIAN_PROVINCES = [
 const isOneOfList = (list: string[]): ((value: string) => boolean | true) =>
   withOptional((value: string): boolean => list.includes(value.trim().toUpperCase()));
 
-export const isValidUSState = isOneOfList(US_STATES);
-export const isValidCanadianProvince = isOneOfList(CANADIAN_PROVINCES);
+export const isValidUSState = withRule(isOneOfList(US_STATES), { name: 'isValidUSState' });
+export const isValidCanadianProvince = withRule(isOneOfList(CANADIAN_PROVINCES), { name: 'isValidCanadianProvince' });
 
 // =============================================================================
 // NUMERIC VALIDATORS
 // =============================================================================
 
-export const isInteger = withOptional((value: number | string) => {
+export const isInteger = withRule(withOptional((value: number | string) => {
   const num = typeof value === 'string' ? parseFloat(value) : value;
   return !isNaN(num) && Number.isInteger(num);
-});
+}), { name: 'isInteger' });
 
-export const isDecimal = withOptional((value: number | string): boolean => {
+export const isDecimal = withRule(withOptional((value: number | string): boolean => {
   const num = typeof value === 'string' ? parseFloat(value) : value;
   return !isNaN(num) && isFinite(num);
-});
+}), { name: 'isDecimal' });
 
-export const isInRange = (min: number, max: number): ((value: number | string) => boolean | true) =>
-  withOptional((value: number | string): boolean => {
+export const isInRange = (min: number, max: number): Validator<number | string> =>
+  withRule(withOptional((value: number | string): boolean => {
     const num = typeof value === 'string' ? parseFloat(value) : value;
     return !isNaN(num) && num >= min && num <= max;
-  });
+  }), { name: 'isInRange', params: { min, max } });
 
-export const greaterThan = (min: number): ((value: number | string) => boolean | true) =>
-  withOptional((value: number | string): boolean => +value > min);
+export const greaterThan = (min: number): Validator<number | string> =>
+  withRule(withOptional((value: number | string): boolean => +value > min), { name: 'greaterThan', params: { min } });
 
-export const lessThan = (max: number): ((value: number | string) => boolean | true) =>
-  withOptional((value: number | string): boolean => +value < max);
+export const lessThan = (max: number): Validator<number | string> =>
+  withRule(withOptional((value: number | string): boolean => +value < max), { name: 'lessThan', params: { max } });
 
-export const greaterThanOrEqual = (min: number): ((value: number | string) => boolean | true) =>
-  withOptional((value: number | string): boolean => +value >= min);
+export const greaterThanOrEqual = (min: number): Validator<number | string> =>
+  withRule(withOptional((value: number | string): boolean => +value >= min), { name: 'greaterThanOrEqual', params: { min } });
 
-export const lessThanOrEqual = (max: number): ((value: number | string) => boolean | true) =>
-  withOptional((value: number | string): boolean => +value <= max);
+export const lessThanOrEqual = (max: number): Validator<number | string> =>
+  withRule(withOptional((value: number | string): boolean => +value <= max), { name: 'lessThanOrEqual', params: { max } });
 
 // =============================================================================
 // PASSWORD VALIDATORS
@@ -226,8 +224,8 @@ interface PasswordOptions {
   requireSymbols?: boolean;
 }
 
-export const isStrongPassword = (options: PasswordOptions = {}): ((value: string) => boolean | true) =>
-  withOptional((value: string): boolean => {
+export const isStrongPassword = (options: PasswordOptions = {}): Validator<string> =>
+  withRule(withOptional((value: string): boolean => {
     const {
       minLength = 8,
       requireUppercase = true,
@@ -243,13 +241,13 @@ export const isStrongPassword = (options: PasswordOptions = {}): ((value: string
     if (requireSymbols && !/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/.test(value)) return false;
 
     return true;
-  });
+  }), { name: 'isStrongPassword', params: { ...options } });
 
 // =============================================================================
 // CREDIT CARD VALIDATORS
 // =============================================================================
 
-export const isValidCreditCard = withOptional((value: string) => {
+export const isValidCreditCard = withRule(withOptional((value: string) => {
   const cleaned = value.replace(/\D/g, '');
   if (cleaned.length < 13 || cleaned.length > 19) return false;
 
@@ -267,9 +265,9 @@ export const isValidCreditCard = withOptional((value: string) => {
   }
 
   return sum % 10 === 0;
-});
+}), { name: 'isValidCreditCard' });
 
-export const isValidCreditCardExpiry = withOptional((value: string) => {
+export const isValidCreditCardExpiry = withRule(withOptional((value: string) => {
   const cleaned = value.replace(/\D/g, '');
   if (cleaned.length !== 4 && cleaned.length !== 6) return false;
 
@@ -285,22 +283,35 @@ export const isValidCreditCardExpiry = withOptional((value: string) => {
   const currentMonth = now.getMonth() + 1;
 
   return year > currentYear || (year === currentYear && month >= currentMonth);
-});
+}), { name: 'isValidCreditCardExpiry' });
+
+export const isValidCVV = withRule(matches(/^\d{3,4}$/), { name: 'isValidCVV' });
+
+// =============================================================================
+// ARRAY VALIDATORS
+// =============================================================================
+
+export const hasMinItems = (minItems: number): Validator<unknown[]> =>
+  withRule(withOptional((value: unknown[]): boolean => Array.isArray(value) && value.length >= minItems), { name: 'hasMinItems', params: { count: minItems } });
 
-export const isValidCVV = matches(/^\d{3,4}$/);
+export const hasMaxItems = (maxItems: number): Validator<unknown[]> =>
+  withRule(withOptional((value: unknown[]): boolean => Array.isArray(value) && value.length <= maxItems), { name: 'hasMaxItems', params: { count: maxItems } });
 
 // =============================================================================
 // CONDITIONAL VALIDATORS
 // =============================================================================
 
-export const isRequiredIf = (condition: boolean) => (value: unknown): boolean =>
-  condition ? isRequired(value) : true;
+export const isRequiredIf = (condition: boolean): Validator<unknown> =>
+  withRule((value: unknown): boolean => (condition ? isRequired(value) : true), { name: 'isRequiredIf' });
 
-export const isEqual = (comparison: unknown) => (value: unknown): boolean =>
-  value === comparison || (value == null && comparison == null);
+export const isEqual = (comparison: unknown): Validator<unknown> =>
+  withRule(
+    (value: unknown): boolean => value === comparison || (value == null && comparison == null),
+    { name: 'isEqual', params: { expected: comparison } },
+  );
 
-export const isOneOf = (allowedValues: unknown[]): ((value: unknown) => boolean | true) => 
-  withOptional((value: unknown): boolean => allowedValues.includes(value));
+export const isOneOf = (allowedValues: unknown[]): Validator<unknown> =>
+  withRule(withOptional((value: unknown): boolean => allowedValues.includes(value)), { name: 'isOneOf', params: { values: allowedValues } });
 
-export const isSameAs = (otherFieldValue: unknown): ((value: unknown) => boolean | true) =>
-  withOptional((value: unknown): boolean => value === otherFieldValue);
+export const isSameAs = (otherFieldValue: unknown): Validator<unknown> =>
+  withRule(withOptional((value: unknown): boolean => value === otherFieldValue), { name: 'isSameAs' });
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { useForm } from '../src/useForm';
+import { ErrorSummary } from '../src/ErrorSummary';
+import { isRequired, isValidEmail } from '../src/validators';
+
+const validationOptions = {
+  name: { label: 'Name', validations: [isRequired] },
+  email: { validations: [{ isValid: isValidEmail, errorMessage: 'Enter a valid email' }] },
+};
+
+const SignupForm = ({ shouldFocusError = true, initialValues = { name: '', email: 'nope' } }) => {
+  const [formValues, setFormValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const { getFieldProps, handleSubmit, control, setServerErrors } = useForm({
+    formValues,
+    setFormValues,
+    errors,
+    setErrors,
+    validationOptions,
+    shouldFocusError,
+  });
+
+  return (
+    <form onSubmit={handleSubmit} data-testid="form">
+      <ErrorSummary control={control} />
+      <input {...getFieldProps('name')} data-testid="name" />
+      <input {...getFieldProps('email')} data-testid="email" />
+      <button type="submit">Submit</button>
+      <button type="button" onClick={() => setServerErrors({ email: ['Already registered'] })}>Server</button>
+    </form>
+  );
+};
+
+const submit = async () => {
+  await act(async () => {
+    fireEvent.submit(screen.getByTestId('form'));
+  });
+};
+
+describe('Error summary and focus', () => {
+  test('should not show the summary before the form is submitted', () => {
+    const { container } = render(<SignupForm />);
+    expect(container.querySelector('[aria-live]')).toBeEmptyDOMElement();
+  });
+
+  test('should list every error with a link to its field after submit', async () => {
+    render(<SignupForm />);
+    await submit();
+
+    const links = screen.getAllByRole('link');
+    expect(links.map(link => link.textContent)).toEqual(['Name: This field is required', 'Enter a valid email']);
+    expect(links[0]).toHaveAttribute('href', `#${screen.getByTestId('name').id}`);
+    expect(screen.getByRole('heading')).toHaveTextContent('There is a problem');
+  });
+
+  test('should focus the field when its link is clicked', async () => {
+    render(<SignupForm shouldFocusError={false} />);
+    await submit();
+
+    fireEvent.click(screen.getByText('Enter a valid email'));
+    expect(screen.getByTestId('email')).toHaveFocus();
+  });
+
+  test('should focus the first invalid field in DOM order on submit', async () => {
+    render(<SignupForm initialValues={{ name: 'Ada', email: 'nope' }} />);
+    await submit();
+
+    expect(screen.getByTestId('email')).toHaveFocus();
+  });
+
+  test('should leave focus alone unless shouldFocusError is set', async () => {
+    render(<SignupForm shouldFocusError={false} />);
+    await submit();
+
+    expect(document.body).toHaveFocus();
+  });
+
+  test('should not show the summary when the submitted form is valid', async () => {
+    render(<SignupForm initialValues={{ name: 'Ada', email: 'a@b.co' }} />);
+    await submit();
+
+    expect(screen.queryByRole('list')).not.toBeInTheDocument();
+  });
+
+  test('should list server errors of fields without their own error', async () => {
+    render(<SignupForm initialValues={{ name: 'Ada', email: 'a@b.co' }} />);
+    await submit();
+    await act(async () => {
+      fireEvent.click(screen.getByText('Server'));
+    });
+
+    expect(screen.getAllByRole('link').map(link => link.textContent)).toEqual(['Already registered']);
+  });
+});
+
+describe('Error summary for radio groups', () => {
+  const PlanForm = () => {
+    const { getFieldProps, handleSubmit, control } = useForm({
+      defaultValues: { plan: '' },
+      validationOptions: { plan: { validations: [{ isValid: isRequired, errorMessage: 'Pick a plan' }] } },
+    });
+
+    return (
+      <form onSubmit={handleSubmit} data-testid="form">
+        <ErrorSummary control={control} />
+        <input {...getFieldProps('plan', { type: 'radio', value: 'basic' })} data-testid="basic" />
+        <input {...getFieldProps('plan', { type: 'radio', value: 'premium' })} data-testid="premium" />
+      </form>
+    );
+  };
+
+  test('should link to the first radio button of the group', async () => {
+    render(<PlanForm />);
+    await submit();
+
+    const link = screen.getByRole('link');
+    expect(link).toHaveAttribute('href', `#${screen.getByTestId('basic').id}`);
+
+    fireEvent.click(link);
+    expect(screen.getByTestId('basic')).toHaveFocus();
+  });
+});
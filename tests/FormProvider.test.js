@@ -0,0 +1,138 @@
+import React, { memo } from 'react';
+import { render, renderHook, screen, fireEvent, act } from '@testing-library/react';
+import { useForm } from '../src/useForm';
+import { FormProvider, useField, useFormContext } from '../src/FormProvider';
+import { isRequired } from '../src/validators';
+
+const validationOptions = {
+  name: { validations: [isRequired] },
+  password: { validations: [{ isValid: value => value.length >= 8, errorMessage: 'Too short' }] },
+  confirm: {
+    validations: [{ isValid: (value, values) => value === values.password, errorMessage: 'Passwords differ' }],
+  },
+};
+
+const renders = {};
+
+const TextField = memo(function TextField({ name }) {
+  const { props, error, touched } = useField(name);
+  renders[name] = (renders[name] ?? 0) + 1;
+  return (
+    <div>
+      <input {...props} data-testid={name} />
+      {error && <span>{error}</span>}
+      {touched && <span>{`${name} touched`}</span>}
+    </div>
+  );
+});
+
+// Not memoized, so it renders whenever the form does
+const PlainTextField = ({ name }) => {
+  const { props } = useField(name);
+  renders[`plain ${name}`] = (renders[`plain ${name}`] ?? 0) + 1;
+  return <input {...props} data-testid={`plain ${name}`} />;
+};
+
+const SubmitCount = () => {
+  const { formState } = useFormContext();
+  return <span>{`Submitted ${formState.submitCount}`}</span>;
+};
+
+const SignupForm = () => {
+  const form = useForm({ defaultValues: { name: '', password: '', confirm: '' }, validationOptions });
+  return (
+    <FormProvider form={form}>
+      <form onSubmit={form.handleSubmit} data-testid="form">
+        <TextField name="name" />
+        <TextField name="password" />
+        <TextField name="confirm" />
+        <PlainTextField name="confirm" />
+        <SubmitCount />
+      </form>
+    </FormProvider>
+  );
+};
+
+const type = async (name, value) => {
+  await act(async () => {
+    fireEvent.change(screen.getByTestId(name), { target: { value } });
+  });
+};
+
+describe('FormProvider and useField', () => {
+  beforeEach(() => {
+    for (const name in renders) {
+      delete renders[name];
+    }
+  });
+
+  test('should give a field its value, error and touched state', async () => {
+    render(<SignupForm />);
+
+    await type('name', 'Ada');
+    expect(screen.getByTestId('name')).toHaveValue('Ada');
+
+    await type('name', '');
+    expect(screen.getByText('This field is required')).toBeInTheDocument();
+
+    await act(async () => {
+      fireEvent.blur(screen.getByTestId('name'));
+    });
+    expect(screen.getByText('name touched')).toBeInTheDocument();
+  });
+
+  test('should only re-render memoized fields whose field changed', async () => {
+    render(<SignupForm />);
+    for (const name in renders) {
+      renders[name] = 0;
+    }
+
+    await type('name', 'Ada');
+    expect(renders.name).toBeGreaterThan(0);
+    expect(renders.password).toBe(0);
+    expect(renders.confirm).toBe(0);
+  });
+
+  test('should re-render fields that are not memoized whenever the form renders', async () => {
+    render(<SignupForm />);
+    renders['plain confirm'] = 0;
+
+    await type('name', 'Ada');
+    expect(renders['plain confirm']).toBeGreaterThan(0);
+    expect(screen.getByTestId('plain confirm')).toHaveValue('');
+  });
+
+  test('should give the props of getFieldProps, with its own handlers', async () => {
+    render(<SignupForm />);
+
+    await type('confirm', 'secret');
+    expect(screen.getByTestId('plain confirm')).toHaveValue('secret');
+    expect(screen.getByTestId('plain confirm')).toHaveAttribute('id', screen.getByTestId('confirm').id);
+  });
+
+  test('should validate with the current values of the other fields', async () => {
+    render(<SignupForm />);
+
+    await type('password', 'longenough');
+    await type('confirm', 'longenough');
+    expect(screen.queryByText('Passwords differ')).not.toBeInTheDocument();
+
+    await type('confirm', 'different');
+    expect(screen.getByText('Passwords differ')).toBeInTheDocument();
+  });
+
+  test('useFormContext should give the whole form', async () => {
+    render(<SignupForm />);
+
+    await act(async () => {
+      fireEvent.submit(screen.getByTestId('form'));
+    });
+    expect(screen.getByText('Submitted 1')).toBeInTheDocument();
+  });
+
+  test('should throw outside of a FormProvider', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(() => renderHook(() => useField('name'))).toThrow('useField must be used inside a FormProvider.');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,32 @@
+import { getChangedPaths, isDeepEqual } from '../src/equality';
+
+describe('equality', () => {
+  describe('isDeepEqual', () => {
+    test('should compare arrays and plain objects by their contents', () => {
+      expect(isDeepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(true);
+      expect(isDeepEqual({ a: [1, 2] }, { a: [1, 2, 3] })).toBe(false);
+      expect(isDeepEqual({ a: 1 }, { b: 1 })).toBe(false);
+      expect(isDeepEqual(NaN, NaN)).toBe(true);
+    });
+
+    test('should compare dates by their time', () => {
+      expect(isDeepEqual(new Date('2024-01-01'), new Date('2024-01-01'))).toBe(true);
+      expect(isDeepEqual(new Date('2024-01-01'), new Date('2024-01-02'))).toBe(false);
+      expect(isDeepEqual(new Date('2024-01-01'), '2024-01-01')).toBe(false);
+    });
+  });
+
+  describe('getChangedPaths', () => {
+    test('should list the changed leaves as field paths', () => {
+      const previous = { name: 'Ada', address: { city: 'Paris', zip: '75001' }, items: [{ qty: 1 }, { qty: 2 }] };
+      const next = { name: 'Ada', address: { city: 'Lyon', zip: '75001' }, items: [{ qty: 1 }, { qty: 3 }, { qty: 4 }] };
+
+      expect(getChangedPaths(previous, next)).toEqual(['address.city', 'items[1].qty', 'items[2].qty']);
+    });
+
+    test('should report a value that changed shape at its own path', () => {
+      expect(getChangedPaths({ tags: ['a'] }, { tags: 'a' })).toEqual(['tags']);
+      expect(getChangedPaths({ when: new Date('2024-01-01') }, { when: new Date('2024-01-01') })).toEqual([]);
+    });
+  });
+});
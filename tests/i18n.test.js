@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { createTranslator, mergeCatalogs } from '../src/i18n';
+import { defaultCatalogs } from '../src/locales';
+import { LocaleProvider } from '../src/LocaleProvider';
+import { useForm } from '../src/useForm';
+import { validateField } from '../src/validation';
+import * as validators from '../src/validators';
+
+const { hasMinLength, isRequired } = validators;
+
+describe('Internationalized messages', () => {
+  describe('createTranslator', () => {
+    const catalogs = mergeCatalogs(defaultCatalogs, {
+      en: { greeting: 'Hello', cart: { zero: 'Your cart is empty', one: '{count} item', other: '{count} items' } },
+      fr: { greeting: 'Bonjour' },
+      'fr-CA': { greeting: 'Allô' },
+    });
+
+    test('should look keys up in the locale, its base language, then the fallbacks', () => {
+      expect(createTranslator({ locale: 'fr-CA', catalogs })('greeting')).toBe('Allô');
+      expect(createTranslator({ locale: 'fr-BE', catalogs })('greeting')).toBe('Bonjour');
+      expect(createTranslator({ locale: 'de', catalogs })('greeting')).toBe('Hello');
+      expect(createTranslator({ locale: 'de', catalogs, fallbackLocales: [] })('greeting')).toBeUndefined();
+    });
+
+    test('should select plural forms from params.count', () => {
+      const translate = createTranslator({ locale: 'en', catalogs });
+      expect(translate('cart', { count: 0 })).toBe('Your cart is empty');
+      expect(translate('cart', { count: 1 })).toBe('{count} item');
+      expect(translate('cart', { count: 5 })).toBe('{count} items');
+      expect(translate('cart')).toBe('{count} items');
+    });
+
+    test('should ship a message for every built-in validator in every locale', () => {
+      // These compare two values passed by the caller, so they are not rules and have no message
+      const notRules = ['withRule', 'isAfter', 'areDateFieldsPaired'];
+      for (const locale of ['en', 'fr', 'de']) {
+        const missing = Object.keys(validators)
+          .filter(name => !notRules.includes(name) && defaultCatalogs[locale][name] === undefined);
+        expect(missing).toEqual([]);
+        expect(Object.keys(defaultCatalogs[locale]).filter(name => notRules.includes(name))).toEqual([]);
+      }
+    });
+  });
+
+  describe('message keys', () => {
+    const minLengthRule = { isValid: hasMinLength(3), messageKey: 'hasMinLength', params: { count: 3 } };
+
+    test('should resolve against the English catalog by default', async () => {
+      const result = await validateField('name', { name: 'ab' }, { name: { validations: [minLengthRule] } });
+      expect(result.error).toBe('Must be at least 3 characters');
+    });
+
+    test('should fall back to errorMessage when the key is unknown', async () => {
+      const options = { name: { validations: [{ isValid: isRequired, messageKey: 'custom.missing', errorMessage: 'Required!' }] } };
+      const result = await validateField('name', { name: '' }, options);
+      expect(result.error).toBe('Required!');
+    });
+
+    test('useForm should resolve messages in the provider locale and follow locale changes', async () => {
+      let setLocale;
+      const wrapper = ({ children }) => {
+        const [locale, setCurrentLocale] = useState('fr');
+        setLocale = setCurrentLocale;
+        return <LocaleProvider locale={locale}>{children}</LocaleProvider>;
+      };
+
+      const { result } = renderHook(() => {
+        const [formValues, setFormValues] = useState({ name: '' });
+        const [errors, setErrors] = useState({});
+        const form = useForm({ formValues, setFormValues, errors, setErrors, validationOptions: { name: { validations: [minLengthRule] } } });
+        return { errors, ...form };
+      }, { wrapper });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'name', value: 'ab' } });
+      });
+      expect(result.current.errors.name).toBe('Doit contenir au moins 3 caractères');
+
+      await act(async () => {
+        setLocale('de');
+      });
+      expect(result.current.errors.name).toBe('Muss mindestens 3 Zeichen lang sein');
+    });
+
+    test('useForm should word messages in a new locale without validating again', async () => {
+      let setLocale;
+      const wrapper = ({ children }) => {
+        const [locale, setCurrentLocale] = useState('fr');
+        setLocale = setCurrentLocale;
+        return <LocaleProvider locale={locale}>{children}</LocaleProvider>;
+      };
+      const isAvailable = jest.fn(async () => false);
+      const validationOptions = {
+        name: {
+          validations: [
+            { isValid: isAvailable, messageKey: 'isRequired', key: 'available' },
+            { isValid: hasMinLength(3), messageKey: 'hasMinLength', params: { count: 3 }, severity: 'warning' },
+          ],
+        },
+      };
+
+      const { result } = renderHook(() => useForm({ defaultValues: { name: '' }, validationOptions, criteriaMode: 'byRule' }), { wrapper });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'name', value: 'ab' } });
+      });
+      expect(result.current.errors.name).toEqual({ available: 'Ce champ est obligatoire' });
+      expect(isAvailable).toHaveBeenCalledTimes(1);
+
+      await act(async () => {
+        setLocale('de');
+      });
+      expect(result.current.errors.name).toEqual({ available: 'Dieses Feld ist erforderlich' });
+      expect(result.current.warnings.name).toEqual({ 1: 'Muss mindestens 3 Zeichen lang sein' });
+      expect(isAvailable).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { applyMask, maskInput, unmask } from '../src/masks';
+
+const phone = '(999) 999-9999';
+const card = value => (/^3[47]/.test(value) ? '9999 999999 99999' : '9999 9999 9999 9999');
+
+describe('masks', () => {
+  describe('applyMask', () => {
+    test('should insert the literals of the pattern between the slots', () => {
+      expect(applyMask('5551234567', phone)).toBe('(555) 123-4567');
+      expect(applyMask('1226', '99/99')).toBe('12/26');
+      expect(applyMask('K1A0A6', 'A9A 9A9')).toBe('K1A 0A6');
+    });
+
+    test('should end at the last filled slot', () => {
+      expect(applyMask('555', phone)).toBe('(555');
+      expect(applyMask('', phone)).toBe('');
+    });
+
+    test('should drop characters that fit no slot, and those past the end of the pattern', () => {
+      expect(applyMask('55x5123', phone)).toBe('(555) 123');
+      expect(applyMask('555123456789', phone)).toBe('(555) 123-4567');
+    });
+
+    test('should treat escaped slot characters as literals', () => {
+      expect(applyMask('42', '\\A-99')).toBe('A-42');
+    });
+
+    test('should let dynamic masks pick the pattern from the value', () => {
+      expect(applyMask('4111111111111111', card)).toBe('4111 1111 1111 1111');
+      expect(applyMask('378282246310005', card)).toBe('3782 822463 10005');
+    });
+  });
+
+  describe('unmask', () => {
+    test('should keep the characters in the slots', () => {
+      expect(unmask('(555) 123-4567', phone)).toBe('5551234567');
+      expect(unmask('4111 1111 1111 1111', card)).toBe('4111111111111111');
+      expect(unmask('5551234567', phone)).toBe('5551234567');
+    });
+
+    test('should not take literals that are also slot characters as slots', () => {
+      expect(unmask('+1 555', '+1 999')).toBe('555');
+    });
+  });
+
+  describe('maskInput', () => {
+    test('should keep the caret after the character it followed', () => {
+      // Typed 9 into `(555) 123` just after the 5s
+      expect(maskInput('(5559) 123', 5, phone, '555123')).toEqual({ masked: '(555) 912-3', unmasked: '5559123', caret: 7 });
+      // Typed the fourth digit at the end; the caret skips the inserted literals
+      expect(maskInput('(5551', 5, phone, '555')).toEqual({ masked: '(555) 1', unmasked: '5551', caret: 7 });
+    });
+
+    test('should delete the slot character before a deleted literal', () => {
+      // Backspaced over the `-` of `(555) 123-4`
+      expect(maskInput('(555) 1234', 9, phone, '5551234')).toEqual({ masked: '(555) 124', unmasked: '555124', caret: 8 });
+    });
+
+    test('should put the caret before the first slot when no slot precedes it', () => {
+      expect(maskInput('', 0, phone, '5')).toEqual({ masked: '', unmasked: '', caret: 0 });
+      // Pasted `12` at the start of `(555`
+      expect(maskInput('12(555', 2, phone, '555')).toEqual({ masked: '(125) 55', unmasked: '12555', caret: 3 });
+      expect(maskInput('(555', 0, phone, '555')).toMatchObject({ caret: 1 });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { interpolate, resolveMessage } from '../src/messages';
+
+describe('Error messages', () => {
+  describe('interpolate', () => {
+    test('should fill placeholders from params and the value', () => {
+      expect(interpolate('Must be at least {min} characters', 'ab', { min: 3 })).toBe('Must be at least 3 characters');
+      expect(interpolate('"{ value }" is not allowed', 'root')).toBe('"root" is not allowed');
+    });
+
+    test('should leave other placeholders as they are', () => {
+      expect(interpolate('Pick a {name}', '')).toBe('Pick a {name}');
+      expect(interpolate('Hello {unknown}', '', { max: 5 })).toBe('Hello {unknown}');
+    });
+  });
+
+  describe('resolveMessage', () => {
+    test('should call errorMessage functions with the value, form values and params', () => {
+      const validation = {
+        isValid: () => false,
+        errorMessage: (value, formValues, { min }) => `Must be at least ${min} characters (you have ${value.length})`,
+        params: { min: 3 },
+      };
+
+      expect(resolveMessage(validation, 'a', {})).toBe('Must be at least 3 characters (you have 1)');
+    });
+
+    test('should not interpolate form fields into static messages', () => {
+      expect(resolveMessage({ isValid: () => false, errorMessage: 'Enter your {name}' }, '', { name: 'Ada' }))
+        .toBe('Enter your {name}');
+    });
+
+    test('should fall back to a generic message when an errorMessage function throws', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const validation = {
+        isValid: () => false,
+        errorMessage: () => {
+          throw new Error('Broken message');
+        },
+      };
+
+      expect(resolveMessage(validation, 'a', {})).toBe('Validation failed');
+      console.error.mockRestore();
+    });
+
+    test('should return an empty message when there is none', () => {
+      expect(resolveMessage({ isValid: () => false }, 'a', {})).toBe('');
+    });
+  });
+});
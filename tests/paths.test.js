@@ -0,0 +1,85 @@
+import { expandPath, fillWildcards, findByPath, getIn, isPathWithin, matchPath, normalizePath, setIn, toPath } from '../src/paths';
+
+describe('Field paths', () => {
+  describe('toPath / normalizePath', () => {
+    test('should split dotted and bracketed paths', () => {
+      expect(toPath('email')).toEqual(['email']);
+      expect(toPath('address.city')).toEqual(['address', 'city']);
+      expect(toPath('items[2].qty')).toEqual(['items', '2', 'qty']);
+      expect(toPath('items[].qty')).toEqual(['items', '[]', 'qty']);
+    });
+
+    test('should normalize array indices to bracket form', () => {
+      expect(normalizePath('items.2.qty')).toBe('items[2].qty');
+      expect(normalizePath('items[2].qty')).toBe('items[2].qty');
+      expect(normalizePath('matrix[0][1]')).toBe('matrix[0][1]');
+    });
+  });
+
+  describe('getIn', () => {
+    const values = { address: { city: 'Paris' }, items: [{ qty: 1 }, { qty: 2 }] };
+
+    test('should read nested values', () => {
+      expect(getIn(values, 'address.city')).toBe('Paris');
+      expect(getIn(values, 'items[1].qty')).toBe(2);
+      expect(getIn(values, 'items.0.qty')).toBe(1);
+    });
+
+    test('should return undefined for missing paths', () => {
+      expect(getIn(values, 'address.zip')).toBeUndefined();
+      expect(getIn(values, 'items[5].qty')).toBeUndefined();
+      expect(getIn(values, 'address.city.name')).toBeUndefined();
+    });
+  });
+
+  describe('setIn', () => {
+    test('should write nested values without mutating the original', () => {
+      const values = { address: { city: 'Paris', zip: '75001' }, items: [{ qty: 1 }] };
+      const updated = setIn(values, 'items[0].qty', 3);
+
+      expect(updated.items[0].qty).toBe(3);
+      expect(values.items[0].qty).toBe(1);
+      expect(updated.address).toBe(values.address);
+      expect(Array.isArray(updated.items)).toBe(true);
+    });
+
+    test('should create missing objects and arrays', () => {
+      expect(setIn({}, 'address.city', 'Lyon')).toEqual({ address: { city: 'Lyon' } });
+      expect(setIn({}, 'items[1].qty', 2)).toEqual({ items: [undefined, { qty: 2 }] });
+    });
+  });
+
+  test('isPathWithin should match a path and the paths inside it', () => {
+    expect(isPathWithin('items[2].qty', 'items')).toBe(true);
+    expect(isPathWithin('items.2.qty', 'items[2]')).toBe(true);
+    expect(isPathWithin('items', 'items')).toBe(true);
+    expect(isPathWithin('itemsCount', 'items')).toBe(false);
+    expect(isPathWithin('items', 'items[2]')).toBe(false);
+  });
+
+  describe('wildcards', () => {
+    test('matchPath should return the indices matched by wildcards', () => {
+      expect(matchPath('items[].qty', 'items[3].qty')).toEqual(['3']);
+      expect(matchPath('items[].qty', 'items[3].price')).toBeNull();
+      expect(matchPath('items[].qty', 'items.qty')).toBeNull();
+    });
+
+    test('fillWildcards should substitute indices in order', () => {
+      expect(fillWildcards('items[].price', ['3'])).toBe('items[3].price');
+      expect(fillWildcards('orders[].lines[].qty', ['1', '0'])).toBe('orders[1].lines[0].qty');
+    });
+
+    test('expandPath should list a path per array item', () => {
+      const values = { items: [{ qty: 1 }, { qty: 2 }] };
+      expect(expandPath('items[].qty', values)).toEqual(['items[0].qty', 'items[1].qty']);
+      expect(expandPath('items[].qty', {})).toEqual([]);
+    });
+
+    test('findByPath should prefer exact keys over wildcard keys', () => {
+      const map = { 'items[].qty': 'any item', 'items[0].qty': 'first item' };
+      expect(findByPath(map, 'items[0].qty').value).toBe('first item');
+      expect(findByPath(map, 'items.1.qty')).toEqual({ key: 'items[].qty', value: 'any item', indices: ['1'] });
+      expect(findByPath(map, 'other')).toBeUndefined();
+    });
+  });
+});
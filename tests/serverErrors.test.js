@@ -0,0 +1,39 @@
+import { fieldMessageErrors, parseServerErrors, problemDetailsErrors } from '../src/serverErrors';
+
+describe('Server error adapters', () => {
+  const problemDetails = {
+    type: 'https://example.com/probs/validation',
+    title: 'Your request is not valid.',
+    status: 422,
+    errors: [
+      { detail: 'must be a positive integer', pointer: '#/items/0/qty' },
+      { detail: 'is already registered', pointer: '/email' },
+      { detail: 'is also wrong', pointer: '/email' },
+      { message: 'is required', field: 'address.city' },
+    ],
+  };
+
+  test('problemDetailsErrors should map pointers and fields to paths', () => {
+    expect(problemDetailsErrors(problemDetails)).toEqual({
+      'items[0].qty': 'must be a positive integer',
+      email: 'is already registered',
+      'address.city': 'is required',
+    });
+  });
+
+  test('fieldMessageErrors should keep the first message of each field', () => {
+    expect(fieldMessageErrors({ email: ['Taken', 'Too long'], 'items.1.qty': 'Too many', empty: [] })).toEqual({
+      email: 'Taken',
+      'items[1].qty': 'Too many',
+    });
+  });
+
+  test('parseServerErrors should recognize each shape', () => {
+    expect(parseServerErrors(problemDetails)).toHaveProperty('email', 'is already registered');
+    expect(parseServerErrors({ title: 'One or more validation errors occurred.', status: 400, errors: { Email: ['Invalid'] } }))
+      .toEqual({ Email: 'Invalid' });
+    expect(parseServerErrors({ email: ['Taken'] })).toEqual({ email: 'Taken' });
+    expect(parseServerErrors({ title: 'Server error', status: 500 })).toEqual({});
+    expect(parseServerErrors('Bad Gateway')).toEqual({});
+  });
+});
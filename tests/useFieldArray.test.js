@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { useForm } from '../src/useForm';
+import { useFieldArray } from '../src/useFieldArray';
+import { hasMaxItems } from '../src/validators';
+
+describe('useFieldArray', () => {
+  let validationOptions;
+
+  beforeEach(() => {
+    validationOptions = {
+      items: {
+        validations: [
+          {
+            isValid: hasMaxItems(3),
+            errorMessage: 'No more than 3 items',
+          },
+        ],
+      },
+      'items[].qty': {
+        validations: [
+          {
+            isValid: (value) => Number(value) > 0,
+            errorMessage: 'Quantity must be positive',
+          },
+        ],
+      },
+    };
+  });
+
+  const setupHook = (initialItems, initialErrors = {}) => renderHook(() => {
+    const [formValues, setFormValues] = useState({ items: initialItems });
+    const [errors, setErrors] = useState(initialErrors);
+    const form = useForm({ formValues, setFormValues, errors, setErrors, validationOptions });
+    const fieldArray = useFieldArray({ control: form.control, name: 'items' });
+    return { formValues, errors, ...form, ...fieldArray };
+  });
+
+  test('should expose one field per item with stable ids and item paths', () => {
+    const { result } = setupHook([{ qty: 1 }, { qty: 2 }]);
+
+    expect(result.current.fields).toHaveLength(2);
+    expect(result.current.fields[1].name).toBe('items[1]');
+    expect(result.current.fields[1].value).toEqual({ qty: 2 });
+    expect(result.current.fields[0].id).not.toBe(result.current.fields[1].id);
+  });
+
+  test('append and insert should add items and keep ids with their items', async () => {
+    const { result } = setupHook([{ qty: 1 }, { qty: 2 }]);
+    const [firstId, secondId] = result.current.fields.map(field => field.id);
+
+    await act(async () => {
+      result.current.append({ qty: 3 });
+    });
+    await act(async () => {
+      result.current.insert(1, { qty: 4 });
+    });
+
+    expect(result.current.formValues.items).toEqual([{ qty: 1 }, { qty: 4 }, { qty: 2 }, { qty: 3 }]);
+    expect(result.current.fields[0].id).toBe(firstId);
+    expect(result.current.fields[2].id).toBe(secondId);
+  });
+
+  test('remove should drop the errors of the removed item and shift the rest', async () => {
+    const { result } = setupHook(
+      [{ qty: 0 }, { qty: 1 }, { qty: -1 }],
+      { 'items[0].qty': 'Quantity must be positive', 'items[2].qty': 'Quantity must be positive' },
+    );
+
+    await act(async () => {
+      result.current.remove(0);
+    });
+
+    expect(result.current.formValues.items).toEqual([{ qty: 1 }, { qty: -1 }]);
+    expect(result.current.errors['items[0].qty']).toBeUndefined();
+    expect(result.current.errors['items[1].qty']).toBe('Quantity must be positive');
+    expect(result.current.errors['items[2].qty']).toBeUndefined();
+  });
+
+  test('move and swap should move errors with the items', async () => {
+    const { result } = setupHook(
+      [{ qty: 0 }, { qty: 1 }, { qty: 2 }],
+      { 'items[0].qty': 'Quantity must be positive' },
+    );
+
+    await act(async () => {
+      result.current.move(0, 2);
+    });
+
+    expect(result.current.formValues.items).toEqual([{ qty: 1 }, { qty: 2 }, { qty: 0 }]);
+    expect(result.current.errors['items[2].qty']).toBe('Quantity must be positive');
+    expect(result.current.errors['items[0].qty']).toBeUndefined();
+
+    await act(async () => {
+      result.current.swap(2, 1);
+    });
+
+    expect(result.current.formValues.items).toEqual([{ qty: 1 }, { qty: 0 }, { qty: 2 }]);
+    expect(result.current.errors['items[1].qty']).toBe('Quantity must be positive');
+    expect(result.current.errors['items[2].qty']).toBeUndefined();
+  });
+
+  test('operations called together should build on each other', async () => {
+    const { result } = setupHook(
+      [{ qty: 0 }, { qty: 1 }, { qty: 2 }],
+      { 'items[0].qty': 'Quantity must be positive' },
+    );
+    const ids = result.current.fields.map(field => field.id);
+
+    await act(async () => {
+      result.current.remove(0);
+      result.current.remove(0);
+    });
+
+    expect(result.current.formValues.items).toEqual([{ qty: 2 }]);
+    expect(result.current.fields.map(field => field.id)).toEqual([ids[2]]);
+    expect(result.current.errors['items[0].qty']).toBeUndefined();
+
+    await act(async () => {
+      result.current.append({ qty: 3 });
+      result.current.append({ qty: 4 });
+    });
+
+    expect(result.current.formValues.items).toEqual([{ qty: 2 }, { qty: 3 }, { qty: 4 }]);
+    expect(result.current.fields).toHaveLength(3);
+    expect(new Set(result.current.fields.map(field => field.id)).size).toBe(3);
+    expect(result.current.fields[0].id).toBe(ids[2]);
+  });
+
+  test('should validate array-level rules when items change', async () => {
+    const { result } = setupHook([{ qty: 1 }, { qty: 1 }, { qty: 1 }]);
+
+    await act(async () => {
+      result.current.append({ qty: 1 });
+    });
+
+    expect(result.current.errors.items).toBe('No more than 3 items');
+
+    await act(async () => {
+      result.current.remove(3);
+    });
+
+    expect(result.current.errors.items).toBe('');
+  });
+
+  test('item validations should receive the item index and sibling values', async () => {
+    const isValid = jest.fn(() => true);
+    validationOptions['items[].qty'].validations = [{ isValid, errorMessage: 'Invalid' }];
+    const { result } = setupHook([{ qty: 1, sku: 'A' }, { qty: 2, sku: 'B' }]);
+
+    await act(async () => {
+      await result.current.validateAll();
+    });
+
+    expect(isValid).toHaveBeenCalledWith(2, expect.any(Object), expect.objectContaining({
+      index: 1,
+      siblings: { qty: 2, sku: 'B' },
+    }));
+  });
+});
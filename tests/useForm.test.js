@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
-import { renderHook, act } from '@testing-library/react';
+import { render, renderHook, act, screen, fireEvent } from '@testing-library/react';
 import { useForm } from '../src/useForm';
+import { partialFnWithFields } from '../src/partialFn';
+import { isRequired, isValidUSPhone, isValidCanadianPostalCode } from '../src/validators';
 
 describe('useForm', () => {
   let initialFormValues;
@@ -34,7 +36,8 @@ describe('useForm', () => {
     };
   });
 
-  const setupHook = (customFormValues = initialFormValues, customErrors = initialErrors, customValidationOptions = validationOptions) => {
+  // `options` are the other options of useForm, such as `mode` or `criteriaMode`
+  const setupHook = (customFormValues = initialFormValues, customErrors = initialErrors, customValidationOptions = validationOptions, options = {}) => {
     return renderHook(() => {
       const [formValues, setFormValues] = useState(customFormValues);
       const [errors, setErrors] = useState(customErrors);
@@ -45,6 +48,7 @@ describe('useForm', () => {
         errors,
         setErrors,
         validationOptions: customValidationOptions,
+        ...options,
       });
 
       return { formValues, setFormValues, errors, setErrors, ...form };
@@ -61,6 +65,8 @@ describe('useForm', () => {
     expect(result.current).toHaveProperty('handleDropdownChange');
     expect(result.current).toHaveProperty('handleCustomChange');
     expect(result.current).toHaveProperty('validateAll');
+    expect(result.current).toHaveProperty('pendingFields');
+    expect(result.current).toHaveProperty('warnings');
   });
 
   test('handleChange should update form values and validate', async () => {
@@ -358,6 +364,1578 @@ describe('useForm', () => {
     expect(result.current.errors.email).toBe('Email is not valid');
   });
 
+  test('should discard stale async validation results for a field', async () => {
+    const resolvers = [];
+    const signals = [];
+    const asyncValidationOptions = {
+      username: {
+        validations: [
+          {
+            isValid: (value, formValues, { signal }) => {
+              signals.push(signal);
+              return new Promise((resolve) => {
+                resolvers.push(() => resolve(value !== 'taken'));
+              });
+            },
+            errorMessage: 'Username is taken',
+          },
+        ],
+      },
+    };
+
+    const { result } = setupHook({ username: '' }, {}, asyncValidationOptions);
+
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'username', value: 'taken' } });
+    });
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'username', value: 'available' } });
+    });
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+
+    // The newer run resolves first, then the stale run for 'taken' resolves late
+    await act(async () => {
+      resolvers[1]();
+      resolvers[0]();
+    });
+
+    expect(result.current.errors.username).toBe('');
+  });
+
+  describe('submitting while a newer run aborts the submit run', () => {
+    let resolvers;
+    let asyncValidationOptions;
+
+    beforeEach(() => {
+      resolvers = [];
+      asyncValidationOptions = {
+        username: {
+          validations: [
+            {
+              isValid: value => new Promise((resolve) => {
+                resolvers.push(() => resolve(value !== 'taken'));
+              }),
+              errorMessage: 'Username is taken',
+            },
+          ],
+        },
+      };
+    });
+
+    test('should take the result of the newer run', async () => {
+      const onValid = jest.fn();
+      const onInvalid = jest.fn();
+      const { result } = setupHook({ username: 'taken' }, {}, asyncValidationOptions);
+
+      let submitted;
+      await act(async () => {
+        submitted = result.current.handleSubmit(onValid, onInvalid)();
+      });
+      await act(async () => {
+        result.current.control.validateField('username');
+      });
+      await act(async () => {
+        resolvers.forEach(resolve => resolve());
+        await submitted;
+      });
+
+      expect(onValid).not.toHaveBeenCalled();
+      expect(onInvalid).toHaveBeenCalledWith({ username: 'Username is taken' }, { username: 'taken' });
+    });
+
+    test('should not submit once the form unmounts', async () => {
+      const onValid = jest.fn();
+      const { result, unmount } = setupHook({ username: 'available' }, {}, asyncValidationOptions);
+
+      let submitted;
+      await act(async () => {
+        submitted = result.current.handleSubmit(onValid)();
+      });
+      unmount();
+      resolvers.forEach(resolve => resolve());
+
+      await submitted;
+      expect(onValid).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('debounced validations', () => {
+    let checkAvailability;
+    let debouncedValidationOptions;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      checkAvailability = jest.fn(async (value) => value !== 'taken');
+      debouncedValidationOptions = {
+        username: {
+          validations: [
+            {
+              isValid: (value) => value && value.length > 0,
+              errorMessage: 'Username is required',
+            },
+            {
+              isValid: checkAvailability,
+              errorMessage: 'Username is taken',
+              debounceMs: 300,
+            },
+          ],
+        },
+      };
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('handleChange runs immediate rules right away and debounced rules once typing stops', async () => {
+      const { result } = setupHook({ username: '' }, {}, debouncedValidationOptions);
+
+      for (const value of ['t', 'ta', 'taken']) {
+        await act(async () => {
+          result.current.handleChange({ target: { name: 'username', value } });
+        });
+      }
+
+      expect(checkAvailability).not.toHaveBeenCalled();
+      expect(result.current.pendingFields.username).toBe(true);
+      expect(result.current.errors.username).toBe('');
+
+      await act(async () => {
+        jest.advanceTimersByTime(300);
+      });
+
+      expect(checkAvailability).toHaveBeenCalledTimes(1);
+      expect(checkAvailability).toHaveBeenCalledWith('taken', expect.any(Object), expect.any(Object));
+      expect(result.current.pendingFields.username).toBe(false);
+      expect(result.current.errors.username).toBe('Username is taken');
+    });
+
+    test('field-level debounceMs applies to rules without their own setting', async () => {
+      const fieldDebounceOptions = {
+        username: {
+          debounceMs: 200,
+          validations: [
+            {
+              isValid: (value) => value && value.length > 0,
+              errorMessage: 'Username is required',
+              debounceMs: 0,
+            },
+            {
+              isValid: checkAvailability,
+              errorMessage: 'Username is taken',
+            },
+          ],
+        },
+      };
+      const { result } = setupHook({ username: 'a' }, {}, fieldDebounceOptions);
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'username', value: '' } });
+      });
+
+      expect(result.current.errors.username).toBe('Username is required');
+      expect(checkAvailability).not.toHaveBeenCalled();
+
+      await act(async () => {
+        jest.advanceTimersByTime(200);
+      });
+
+      expect(checkAvailability).toHaveBeenCalledTimes(1);
+    });
+
+    test('handleSubmit flushes pending debounced validations', async () => {
+      const { result } = setupHook({ username: '' }, {}, debouncedValidationOptions);
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'username', value: 'taken' } });
+      });
+
+      expect(result.current.pendingFields.username).toBe(true);
+
+      let isValid;
+      await act(async () => {
+        isValid = await result.current.handleSubmit({ preventDefault: jest.fn() });
+      });
+
+      expect(isValid).toBe(false);
+      expect(result.current.errors.username).toBe('Username is taken');
+      expect(result.current.pendingFields.username).toBe(false);
+
+      await act(async () => {
+        jest.advanceTimersByTime(300);
+      });
+
+      // The cancelled timer does not run the check a second time
+      expect(checkAvailability).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('validation modes', () => {
+    const changeEvent = { target: { name: 'email', value: 'invalid-email' } };
+
+    test('onBlur mode does not validate on change', async () => {
+      const { result } = setupHook(initialFormValues, {}, validationOptions, { mode: 'onBlur' });
+
+      await act(async () => {
+        result.current.handleChange(changeEvent);
+      });
+      expect(result.current.formValues.email).toBe('invalid-email');
+      expect(result.current.errors.email).toBeUndefined();
+
+      await act(async () => {
+        result.current.handleBlur(changeEvent);
+      });
+      expect(result.current.errors.email).toBe('Invalid email format');
+    });
+
+    test('onTouched mode validates on change only after the first blur', async () => {
+      const { result } = setupHook(initialFormValues, {}, validationOptions, { mode: 'onTouched' });
+
+      await act(async () => {
+        result.current.handleChange(changeEvent);
+      });
+      expect(result.current.errors.email).toBeUndefined();
+
+      await act(async () => {
+        result.current.handleBlur(changeEvent);
+      });
+      expect(result.current.errors.email).toBe('Invalid email format');
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'test@example.com' } });
+      });
+      expect(result.current.errors.email).toBe('');
+    });
+
+    test('onSubmit mode only validates on submit', async () => {
+      const { result } = setupHook(initialFormValues, {}, validationOptions, { mode: 'onSubmit' });
+
+      await act(async () => {
+        result.current.handleChange(changeEvent);
+        result.current.handleBlur(changeEvent);
+      });
+      expect(result.current.errors.email).toBeUndefined();
+
+      await act(async () => {
+        await result.current.handleSubmit({ preventDefault: jest.fn() });
+      });
+      expect(result.current.errors.email).toBe('Invalid email format');
+    });
+
+    test('a field-level mode overrides the form mode', async () => {
+      validationOptions.email.mode = 'onChange';
+      const { result } = setupHook(initialFormValues, {}, validationOptions, { mode: 'onSubmit' });
+
+      await act(async () => {
+        result.current.handleChange(changeEvent);
+        result.current.handleChange({ target: { name: 'password', value: 'short' } });
+      });
+      expect(result.current.errors.email).toBe('Invalid email format');
+      expect(result.current.errors.password).toBeUndefined();
+    });
+  });
+
+  describe('getFieldProps', () => {
+    test('should wire the value, handlers and ids of a field', () => {
+      const { result } = setupHook({ email: 'a@b.co' }, {}, validationOptions, { id: 'signup' });
+      const props = result.current.getFieldProps('email');
+
+      expect(props).toEqual({
+        id: 'signup-email',
+        name: 'email',
+        value: 'a@b.co',
+        onChange: result.current.handleChange,
+        onBlur: result.current.handleBlur,
+        'aria-invalid': false,
+        'aria-describedby': undefined,
+        'aria-errormessage': undefined,
+      });
+      expect(result.current.getErrorProps('email')).toEqual({ id: 'signup-email-error' });
+    });
+
+    test('should point at the error message while the field is invalid', async () => {
+      const { result } = setupHook({ email: '' });
+
+      await act(async () => {
+        result.current.getFieldProps('email').onChange({ target: { name: 'email', value: 'nope' } });
+      });
+
+      const props = result.current.getFieldProps('email');
+      const errorId = result.current.getErrorProps('email').id;
+      expect(props['aria-invalid']).toBe(true);
+      expect(props['aria-describedby']).toBe(errorId);
+      expect(props['aria-errormessage']).toBe(errorId);
+    });
+
+    test('should give each form its own ids', () => {
+      const first = setupHook({ email: '' });
+      const second = setupHook({ email: '' });
+      expect(first.result.current.getFieldProps('email').id).not.toBe(second.result.current.getFieldProps('email').id);
+    });
+
+    test('should generate the same ids on the server and the client', async () => {
+      // The server renderer needs TextEncoder, which jsdom does not provide
+      global.TextEncoder ??= require('util').TextEncoder;
+      const { renderToString } = require('react-dom/server');
+      const { hydrateRoot } = require('react-dom/client');
+      const SignupForm = () => {
+        const { getFieldProps } = useForm({ defaultValues: { email: '' }, validationOptions });
+        return <input {...getFieldProps('email')} />;
+      };
+      const container = document.createElement('div');
+      container.innerHTML = renderToString(<SignupForm />);
+      const serverId = container.querySelector('input').id;
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await act(async () => {
+        hydrateRoot(container, <SignupForm />);
+      });
+      expect(container.querySelector('input').id).toBe(serverId);
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    test('should use checked for checkboxes and radios', async () => {
+      const { result } = setupHook({ terms: false, plan: 'pro' });
+
+      expect(result.current.getFieldProps('terms', { type: 'checkbox' })).toMatchObject({ type: 'checkbox', checked: false });
+      expect(result.current.getFieldProps('plan', { type: 'radio', value: 'pro' })).toMatchObject({ value: 'pro', checked: true });
+      expect(result.current.getFieldProps('plan', { type: 'radio', value: 'free' })).toMatchObject({ value: 'free', checked: false });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'terms', type: 'checkbox', value: 'on', checked: true } });
+      });
+      expect(result.current.formValues.terms).toBe(true);
+      expect(result.current.getFieldProps('terms', { type: 'checkbox' }).checked).toBe(true);
+    });
+
+    test('should use an empty string for fields without a value', () => {
+      const { result } = setupHook({ address: {} });
+      expect(result.current.getFieldProps('address.city').value).toBe('');
+    });
+  });
+
+  describe('input types', () => {
+    const createInput = (attributes) => Object.assign(document.createElement('input'), attributes);
+
+    test('should store a boolean for a single checkbox', async () => {
+      const { result } = setupHook({ terms: false }, {}, {});
+      const input = createInput({ name: 'terms', type: 'checkbox', checked: true });
+
+      await act(async () => {
+        result.current.handleChange({ target: input });
+      });
+      expect(result.current.formValues.terms).toBe(true);
+
+      input.checked = false;
+      await act(async () => {
+        result.current.handleChange({ target: input });
+      });
+      expect(result.current.formValues.terms).toBe(false);
+    });
+
+    test('should store the checked values of a checkbox group', async () => {
+      const { result } = setupHook({ toppings: ['ham'] }, {}, {});
+      const cheese = createInput({ name: 'toppings', type: 'checkbox', value: 'cheese', checked: true });
+      const ham = createInput({ name: 'toppings', type: 'checkbox', value: 'ham', checked: false });
+
+      await act(async () => {
+        result.current.handleChange({ target: cheese });
+      });
+      await act(async () => {
+        result.current.handleChange({ target: ham });
+      });
+      expect(result.current.formValues.toppings).toEqual(['cheese']);
+
+      // Blurring a box leaves the group as it is
+      await act(async () => {
+        result.current.handleBlur({ target: cheese });
+      });
+      expect(result.current.formValues.toppings).toEqual(['cheese']);
+
+      expect(result.current.getFieldProps('toppings', { type: 'checkbox', value: 'cheese' })).toMatchObject({ value: 'cheese', checked: true });
+      expect(result.current.getFieldProps('toppings', { type: 'checkbox', value: 'ham' })).toMatchObject({ value: 'ham', checked: false });
+    });
+
+    test('should keep every box toggled before the next render', async () => {
+      const { result } = setupHook({ toppings: [] }, {}, {});
+      const cheese = createInput({ name: 'toppings', type: 'checkbox', value: 'cheese', checked: true });
+      const ham = createInput({ name: 'toppings', type: 'checkbox', value: 'ham', checked: true });
+
+      await act(async () => {
+        result.current.handleChange({ target: cheese });
+        result.current.handleChange({ target: ham });
+      });
+      expect(result.current.formValues.toppings).toEqual(['cheese', 'ham']);
+    });
+
+    test('should start the array of a group whose field has no value yet', async () => {
+      const { result } = setupHook({}, {}, {});
+      const cheese = createInput({ name: 'toppings', type: 'checkbox', value: 'cheese', checked: true });
+      const ham = createInput({ name: 'toppings', type: 'checkbox', value: 'ham' });
+      document.body.append(cheese, ham);
+
+      expect(result.current.getFieldProps('toppings', { type: 'checkbox', value: 'cheese' })).toMatchObject({ value: 'cheese', checked: false });
+      await act(async () => {
+        result.current.handleChange({ target: cheese });
+      });
+      expect(result.current.formValues.toppings).toEqual(['cheese']);
+      cheese.remove();
+      ham.remove();
+    });
+
+    test('should keep a boolean for a single checkbox with a value', async () => {
+      const { result } = setupHook({ agree: false }, {}, {}, { defaultValues: { agree: false } });
+      const input = createInput({ name: 'agree', type: 'checkbox', value: 'yes', checked: true });
+
+      await act(async () => {
+        result.current.handleChange({ target: input });
+      });
+      expect(result.current.formValues.agree).toBe(true);
+      expect(result.current.getFieldProps('agree', { type: 'checkbox', value: 'yes' })).toMatchObject({ value: 'yes', checked: true });
+    });
+
+    test('should tell a group by boxes of its form sharing a name', async () => {
+      const { result } = setupHook({}, {}, {});
+      const form = document.createElement('form');
+      const first = createInput({ name: 'toppings', type: 'checkbox', checked: true });
+      form.append(first, createInput({ name: 'toppings', type: 'checkbox' }));
+
+      await act(async () => {
+        result.current.handleChange({ target: first });
+      });
+      expect(result.current.formValues.toppings).toEqual(['on']);
+    });
+
+    test('should store the selected values of a multi-select', async () => {
+      const { result } = setupHook({ colors: [] }, {}, {});
+      const select = document.createElement('select');
+      select.name = 'colors';
+      select.multiple = true;
+      for (const color of ['red', 'green', 'blue']) {
+        select.add(new Option(color, color, false, color !== 'green'));
+      }
+
+      await act(async () => {
+        result.current.handleChange({ target: select });
+      });
+      expect(result.current.formValues.colors).toEqual(['red', 'blue']);
+    });
+
+    test('should store the files of a file input', async () => {
+      const { result } = setupHook({ avatar: [] }, {}, {});
+      const file = new File(['hello'], 'avatar.png', { type: 'image/png' });
+      const input = createInput({ name: 'avatar', type: 'file' });
+      Object.defineProperty(input, 'files', { value: [file] });
+
+      await act(async () => {
+        result.current.handleChange({ target: input });
+      });
+      expect(result.current.formValues.avatar).toEqual([file]);
+      expect(result.current.getFieldProps('avatar', { type: 'file' })).not.toHaveProperty('value');
+    });
+
+    test('should store numbers for number and range inputs, and null while empty', async () => {
+      const { result } = setupHook({ age: null, volume: 0 }, {}, {});
+      const age = createInput({ name: 'age', type: 'number', value: '42' });
+      const volume = createInput({ name: 'volume', type: 'range', value: '7' });
+
+      await act(async () => {
+        result.current.handleChange({ target: age });
+      });
+      await act(async () => {
+        result.current.handleChange({ target: volume });
+      });
+      expect(result.current.formValues).toEqual({ age: 42, volume: 7 });
+
+      age.value = '';
+      await act(async () => {
+        result.current.handleChange({ target: age });
+      });
+      expect(result.current.formValues.age).toBeNull();
+      expect(result.current.getFieldProps('age', { type: 'number' }).value).toBe('');
+    });
+
+    test('should validate the converted value', async () => {
+      const isAdult = jest.fn(value => value >= 18);
+      const { result } = setupHook({ age: null }, {}, {}, {
+        validationOptions: { age: { validations: [{ isValid: isAdult, errorMessage: 'Must be an adult' }] } },
+      });
+
+      await act(async () => {
+        result.current.handleChange({ target: createInput({ name: 'age', type: 'number', value: '16' }) });
+      });
+      expect(isAdult).toHaveBeenLastCalledWith(16, expect.anything(), expect.anything());
+      expect(result.current.errors.age).toBe('Must be an adult');
+    });
+  });
+
+  describe('parse and format', () => {
+    const priceFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const parseOptions = {
+      age: { parse: Number },
+      email: {
+        parse: value => value.trim().toLowerCase(),
+        validations: [{ isValid: value => value.endsWith('@example.com'), errorMessage: 'Use your work email' }],
+      },
+      price: {
+        parse: value => (value === '' ? null : Number(value.replace(/,/g, ''))),
+        format: value => (value === null ? '' : priceFormat.format(value)),
+      },
+    };
+
+    test('should store the parsed value and validate it', async () => {
+      const { result } = setupHook({ age: null, email: '' }, {}, parseOptions);
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'age', value: '42' } });
+      });
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: '  Ada@Example.com ' } });
+      });
+
+      expect(result.current.formValues).toEqual({ age: 42, email: 'ada@example.com' });
+      expect(result.current.errors.email).toBe('');
+    });
+
+    test('should validate the parsed value on blur', async () => {
+      const { result } = setupHook({ email: '' }, {}, parseOptions);
+
+      await act(async () => {
+        result.current.handleBlur({ target: { name: 'email', value: 'ADA@EXAMPLE.COM' } });
+      });
+      expect(result.current.errors.email).toBe('');
+    });
+
+    test('should show the formatted value, and the typed text while the field is edited', async () => {
+      const { result } = setupHook({ price: 1234.5 }, {}, parseOptions);
+      expect(result.current.getFieldProps('price').value).toBe('1,234.50');
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'price', value: '99.' } });
+      });
+      expect(result.current.formValues.price).toBe(99);
+      expect(result.current.getFieldProps('price').value).toBe('99.');
+
+      await act(async () => {
+        result.current.handleBlur({ target: { name: 'price', value: '99.' } });
+      });
+      expect(result.current.getFieldProps('price').value).toBe('99.00');
+    });
+
+    test('should format values set by reset', async () => {
+      const { result } = setupHook({ price: null }, {}, parseOptions);
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'price', value: '5' } });
+      });
+      await act(async () => {
+        result.current.reset({ price: 2500 });
+      });
+      expect(result.current.getFieldProps('price').value).toBe('2,500.00');
+    });
+  });
+
+  describe('input masks', () => {
+    const phoneValidation = jest.fn(isValidUSPhone);
+
+    const PhoneForm = ({ onValues }) => {
+      const [formValues, setFormValues] = useState({ phone: '555' });
+      const [errors, setErrors] = useState({});
+      const { getFieldProps } = useForm({
+        formValues,
+        setFormValues,
+        errors,
+        setErrors,
+        validationOptions: {
+          phone: { mask: '(999) 999-9999', validations: [{ isValid: phoneValidation, errorMessage: 'Enter a phone number' }] },
+        },
+      });
+      onValues(formValues, errors);
+      return <input {...getFieldProps('phone')} data-testid="phone" />;
+    };
+
+    const renderPhoneForm = () => {
+      const latest = {};
+      render(<PhoneForm onValues={(values, errors) => Object.assign(latest, { values, errors })} />);
+      const input = screen.getByTestId('phone');
+      input.focus();
+      return { input, latest };
+    };
+
+    test('should show the masked value and store the unmasked one', async () => {
+      const { input, latest } = renderPhoneForm();
+      expect(input.value).toBe('(555');
+
+      await act(async () => {
+        fireEvent.change(input, { target: { value: '(5551234567' } });
+      });
+      expect(input.value).toBe('(555) 123-4567');
+      expect(latest.values.phone).toBe('5551234567');
+      expect(phoneValidation).toHaveBeenLastCalledWith('5551234567', expect.anything(), expect.anything());
+      expect(latest.errors.phone).toBe('');
+    });
+
+    test('should keep the caret after the typed character', async () => {
+      const { input, latest } = renderPhoneForm();
+
+      await act(async () => {
+        fireEvent.change(input, { target: { value: '(5551234' } });
+      });
+      await act(async () => {
+        fireEvent.change(input, { target: { value: '(555) 9123-4', selectionStart: 7, selectionEnd: 7 } });
+      });
+      expect(input.value).toBe('(555) 912-34');
+      expect(input.selectionStart).toBe(7);
+      expect(latest.values.phone).toBe('55591234');
+    });
+
+    test('should read a masked input once per change', async () => {
+      const parse = jest.fn(value => value);
+      const { result } = renderHook(() => {
+        const [formValues, setFormValues] = useState({ phone: '' });
+        return {
+          formValues,
+          ...useForm({ formValues, setFormValues, validationOptions: { phone: { mask: '(999) 999-9999', parse, validations: [isValidUSPhone] } } }),
+        };
+      });
+      const input = Object.assign(document.createElement('input'), { name: 'phone', value: '5551234567' });
+
+      await act(async () => {
+        result.current.handleChange({ target: input });
+      });
+      expect(parse).toHaveBeenCalledTimes(1);
+      expect(parse).toHaveBeenCalledWith('5551234567');
+      expect(input.value).toBe('(555) 123-4567');
+      expect(result.current.formValues.phone).toBe('5551234567');
+    });
+
+    test('should pass a masked postal code to the built-in validator', async () => {
+      const onValid = jest.fn();
+      const PostalCodeForm = () => {
+        const { getFieldProps, errors, handleSubmit } = useForm({
+          defaultValues: { postalCode: '' },
+          validationOptions: {
+            postalCode: { mask: 'A9A 9A9', parse: value => value.toUpperCase(), validations: [isValidCanadianPostalCode] },
+          },
+        });
+        return (
+          <form onSubmit={handleSubmit(onValid)} data-testid="form">
+            <input {...getFieldProps('postalCode')} data-testid="postalCode" />
+            {errors.postalCode && <span>{errors.postalCode}</span>}
+          </form>
+        );
+      };
+      render(<PostalCodeForm />);
+      const input = screen.getByTestId('postalCode');
+
+      await act(async () => {
+        fireEvent.change(input, { target: { value: 'k1a0b1' } });
+      });
+      expect(input.value).toBe('K1A 0B1');
+      expect(screen.queryByText('Enter a valid postal code, e.g. A1A 1A1')).not.toBeInTheDocument();
+
+      await act(async () => {
+        fireEvent.submit(screen.getByTestId('form'));
+      });
+      expect(onValid).toHaveBeenCalledWith({ postalCode: 'K1A0B1' });
+    });
+  });
+
+  describe('self-managed state', () => {
+    test('should keep values and errors in its own state, starting from defaultValues', async () => {
+      const { result } = renderHook(() => useForm({ defaultValues: { email: '', password: '' }, validationOptions }));
+      expect(result.current.values).toEqual({ email: '', password: '' });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'nope' } });
+      });
+      expect(result.current.values.email).toBe('nope');
+      expect(result.current.errors.email).toBe('Invalid email format');
+      expect(result.current.formState.isDirty).toBe(true);
+
+      await act(async () => {
+        result.current.reset();
+      });
+      expect(result.current.values).toEqual({ email: '', password: '' });
+      expect(result.current.errors).toEqual({});
+    });
+
+    test('should validate its own values on submit', async () => {
+      const onValid = jest.fn();
+      const { result } = renderHook(() => useForm({ defaultValues: { email: 'a@b.co', password: 'longenough' }, validationOptions }));
+
+      await act(async () => {
+        await result.current.handleSubmit(onValid)();
+      });
+      expect(onValid).toHaveBeenCalledWith({ email: 'a@b.co', password: 'longenough' });
+    });
+
+    test('should keep errors of its own while the caller keeps the values', async () => {
+      const { result } = renderHook(() => {
+        const [formValues, setFormValues] = useState({ email: '' });
+        return { formValues, ...useForm({ formValues, setFormValues, validationOptions }) };
+      });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'a@b.co' } });
+      });
+      expect(result.current.formValues.email).toBe('a@b.co');
+      expect(result.current.values).toBe(result.current.formValues);
+      expect(result.current.errors.email).toBe('');
+    });
+
+    test('should throw when formValues is passed without setFormValues', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(() => renderHook(() => useForm({ formValues: {}, validationOptions }))).toThrow('setFormValues');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('conditional fields', () => {
+    const addressOptions = {
+      country: { validations: [isRequired], relatedFields: ['state'] },
+      state: { validations: [isRequired], when: values => values.country === 'US' },
+    };
+
+    test('should clear the error of a field once its when predicate is false', async () => {
+      const { result } = renderHook(() => useForm({ defaultValues: { country: 'US', state: '' }, validationOptions: addressOptions }));
+
+      let isValid;
+      await act(async () => {
+        isValid = await result.current.validateAll();
+      });
+      expect(isValid).toBe(false);
+      expect(result.current.errors.state).toBe('This field is required');
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'country', value: 'FR' } });
+      });
+      expect(result.current.errors.state).toBe('');
+
+      await act(async () => {
+        isValid = await result.current.validateAll();
+      });
+      expect(isValid).toBe(true);
+    });
+
+    test('should clear the error of a field as soon as its when predicate turns false, without validating it', async () => {
+      const stateValidation = jest.fn(value => value !== '');
+      const { result } = renderHook(() => useForm({
+        defaultValues: { country: 'US', state: '' },
+        validationOptions: {
+          state: { validations: [{ isValid: stateValidation, errorMessage: 'Enter a state' }], when: values => values.country === 'US' },
+        },
+      }));
+
+      await act(async () => {
+        await result.current.validateAll();
+      });
+      expect(result.current.errors.state).toBe('Enter a state');
+      stateValidation.mockClear();
+
+      await act(async () => {
+        result.current.handleCustomChange('country', 'FR');
+      });
+      expect(stateValidation).not.toHaveBeenCalled();
+      expect(result.current.errors.state).toBeUndefined();
+      expect(result.current.formState.isValid).toBe(true);
+    });
+
+    test('should validate a radio group while any of its buttons takes input', async () => {
+      const onValid = jest.fn();
+      const PlanForm = () => {
+        const { getFieldProps, handleSubmit, errors } = useForm({
+          defaultValues: { plan: '' },
+          validationOptions: { plan: { validations: [isRequired] } },
+        });
+        return (
+          <form onSubmit={handleSubmit(onValid)} data-testid="form">
+            <input {...getFieldProps('plan', { type: 'radio', value: 'basic' })} disabled />
+            <input {...getFieldProps('plan', { type: 'radio', value: 'premium' })} />
+            {errors.plan && <span>{errors.plan}</span>}
+          </form>
+        );
+      };
+      render(<PlanForm />);
+
+      await act(async () => {
+        fireEvent.submit(screen.getByTestId('form'));
+      });
+      expect(onValid).not.toHaveBeenCalled();
+      expect(screen.getByText('This field is required')).toBeInTheDocument();
+    });
+
+    test('should not validate a field that is not enabled', async () => {
+      const { result } = renderHook(() => useForm({
+        defaultValues: { email: '' },
+        validationOptions: { email: { ...validationOptions.email, enabled: false } },
+      }));
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'nope' } });
+      });
+      expect(result.current.errors.email).toBe('');
+      expect(result.current.formState.isValid).toBe(true);
+    });
+
+    const ContactForm = ({ onValid, phoneAttributes = {}, fieldsetDisabled = false }) => {
+      const { getFieldProps, handleSubmit, errors } = useForm({
+        defaultValues: { email: 'a@b.co', phone: '' },
+        validationOptions: { email: validationOptions.email, phone: { validations: [isRequired] } },
+      });
+      return (
+        <form onSubmit={handleSubmit(onValid)} data-testid="form">
+          <input {...getFieldProps('email')} data-testid="email" />
+          <fieldset disabled={fieldsetDisabled}>
+            <input {...getFieldProps('phone')} {...phoneAttributes} data-testid="phone" />
+          </fieldset>
+          {errors.phone && <span>{errors.phone}</span>}
+        </form>
+      );
+    };
+
+    test.each([
+      ['disabled', { phoneAttributes: { disabled: true } }],
+      ['read-only', { phoneAttributes: { readOnly: true } }],
+      ['inside a disabled fieldset', { fieldsetDisabled: true }],
+    ])('should skip a field whose input is %s', async (_, props) => {
+      const onValid = jest.fn();
+      render(<ContactForm onValid={onValid} {...props} />);
+
+      await act(async () => {
+        fireEvent.blur(screen.getByTestId('phone'));
+        fireEvent.submit(screen.getByTestId('form'));
+      });
+      expect(onValid).toHaveBeenCalled();
+      expect(screen.queryByText('This field is required')).not.toBeInTheDocument();
+    });
+
+    test('should validate the field once its input is enabled again', async () => {
+      const onValid = jest.fn();
+      const { rerender } = render(<ContactForm onValid={onValid} phoneAttributes={{ disabled: true }} />);
+      rerender(<ContactForm onValid={onValid} />);
+
+      await act(async () => {
+        fireEvent.submit(screen.getByTestId('form'));
+      });
+      expect(onValid).not.toHaveBeenCalled();
+      expect(screen.getByText('This field is required')).toBeInTheDocument();
+    });
+  });
+
+  describe('uncontrolled mode', () => {
+    // Renders with the form, so it counts the renders of the form's inputs
+    const RenderSpy = ({ onRender }) => {
+      onRender();
+      return null;
+    };
+
+    const UnderwritingForm = ({ onRender = () => {}, onValid = () => {}, formRef = {} }) => {
+      const form = useForm({
+        uncontrolled: true,
+        defaultValues: { email: '', plan: 'basic', extras: [], smoker: false, income: 1000 },
+        validationOptions: {
+          email: validationOptions.email,
+          income: {
+            parse: value => Number(value.replace(/,/g, '')),
+            format: value => value.toLocaleString('en-US'),
+          },
+        },
+      });
+      const { register, errors, handleSubmit } = form;
+      formRef.current = form;
+
+      return (
+        <form onSubmit={handleSubmit(onValid)} data-testid="form">
+          <input {...register('email')} data-testid="email" />
+          {errors.email && <span>{errors.email}</span>}
+          <input {...register('plan', { type: 'radio', value: 'basic' })} data-testid="basic" />
+          <input {...register('plan', { type: 'radio', value: 'premium' })} data-testid="premium" />
+          <input {...register('extras', { type: 'checkbox', value: 'dental' })} data-testid="dental" />
+          <input {...register('extras', { type: 'checkbox', value: 'vision' })} data-testid="vision" />
+          <input {...register('smoker', { type: 'checkbox' })} data-testid="smoker" />
+          <input {...register('income')} data-testid="income" />
+          <RenderSpy onRender={onRender} />
+        </form>
+      );
+    };
+
+    test('should show the default values in the inputs', () => {
+      render(<UnderwritingForm />);
+
+      expect(screen.getByTestId('email')).toHaveValue('');
+      expect(screen.getByTestId('basic')).toBeChecked();
+      expect(screen.getByTestId('dental')).not.toBeChecked();
+      expect(screen.getByTestId('income')).toHaveValue('1,000');
+    });
+
+    test('should not re-render while typing, until the error changes', async () => {
+      const onRender = jest.fn();
+      render(<UnderwritingForm onRender={onRender} />);
+      const email = screen.getByTestId('email');
+      onRender.mockClear();
+
+      await act(async () => {
+        fireEvent.change(email, { target: { value: 'a' } });
+      });
+      // Once for the field turning dirty and once for its error
+      expect(onRender).toHaveBeenCalledTimes(2);
+      expect(screen.getByText('Invalid email format')).toBeInTheDocument();
+
+      await act(async () => {
+        fireEvent.change(email, { target: { value: 'ad' } });
+      });
+      await act(async () => {
+        fireEvent.change(email, { target: { value: 'ada' } });
+      });
+      expect(onRender).toHaveBeenCalledTimes(2);
+      expect(email).toHaveValue('ada');
+    });
+
+    test('should update dirty state as the user types, re-rendering only when it changes', async () => {
+      const onRender = jest.fn();
+      const formRef = {};
+      render(<UnderwritingForm onRender={onRender} formRef={formRef} />);
+      const income = screen.getByTestId('income');
+      onRender.mockClear();
+
+      await act(async () => {
+        fireEvent.change(income, { target: { value: '2000' } });
+      });
+      expect(formRef.current.formState.isDirty).toBe(true);
+      expect(formRef.current.formState.dirtyFields).toEqual({ income: true });
+      expect(formRef.current.values.income).toBe(2000);
+
+      onRender.mockClear();
+      await act(async () => {
+        fireEvent.change(income, { target: { value: '3000' } });
+      });
+      expect(onRender).not.toHaveBeenCalled();
+
+      await act(async () => {
+        fireEvent.change(income, { target: { value: '1,000' } });
+      });
+      expect(onRender).toHaveBeenCalledTimes(1);
+      expect(formRef.current.formState.isDirty).toBe(false);
+      expect(formRef.current.formState.dirtyFields).toEqual({});
+    });
+
+    test('should read the values from the inputs on submit', async () => {
+      const onValid = jest.fn();
+      render(<UnderwritingForm onValid={onValid} />);
+
+      await act(async () => {
+        fireEvent.change(screen.getByTestId('email'), { target: { value: 'ada@example.com' } });
+        fireEvent.click(screen.getByTestId('premium'));
+        fireEvent.click(screen.getByTestId('vision'));
+        fireEvent.click(screen.getByTestId('smoker'));
+        fireEvent.change(screen.getByTestId('income'), { target: { value: '52,000' } });
+      });
+      await act(async () => {
+        fireEvent.submit(screen.getByTestId('form'));
+      });
+
+      expect(onValid).toHaveBeenCalledWith({
+        email: 'ada@example.com',
+        plan: 'premium',
+        extras: ['vision'],
+        smoker: true,
+        income: 52000,
+      });
+    });
+
+    test('should format the value of an input once it is blurred', async () => {
+      render(<UnderwritingForm />);
+      const income = screen.getByTestId('income');
+
+      await act(async () => {
+        fireEvent.change(income, { target: { value: '75000' } });
+      });
+      expect(income).toHaveValue('75000');
+
+      await act(async () => {
+        fireEvent.blur(income);
+      });
+      expect(income).toHaveValue('75,000');
+    });
+
+    test('reset should write the values into the inputs', async () => {
+      const formRef = {};
+      render(<UnderwritingForm formRef={formRef} />);
+
+      await act(async () => {
+        fireEvent.change(screen.getByTestId('email'), { target: { value: 'nope' } });
+        fireEvent.click(screen.getByTestId('dental'));
+      });
+      expect(formRef.current.getDirtyValues()).toEqual({ email: 'nope', extras: ['dental'] });
+
+      await act(async () => {
+        formRef.current.reset();
+      });
+      expect(screen.getByTestId('email')).toHaveValue('');
+      expect(screen.getByTestId('dental')).not.toBeChecked();
+      expect(formRef.current.errors).toEqual({});
+      expect(formRef.current.getDirtyValues()).toEqual({});
+    });
+
+    test('should throw when given formValues', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(() => renderHook(() => useForm({ uncontrolled: true, formValues: {}, setFormValues: () => {}, validationOptions })))
+        .toThrow('uncontrolled');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('formState', () => {
+    test('should start out clean', () => {
+      const { result } = setupHook();
+      expect(result.current.formState).toEqual({
+        isSubmitting: false,
+        isValidating: false,
+        validatingFields: {},
+        submitCount: 0,
+        isSubmitSuccessful: false,
+        isValid: true,
+        isDirty: false,
+        dirtyFields: {},
+        touchedFields: {},
+      });
+    });
+
+    test('should track dirty, touched and valid state from changes and blurs', async () => {
+      const { result } = setupHook();
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'nope' } });
+        result.current.handleBlur({ target: { name: 'email', value: 'nope' } });
+      });
+      expect(result.current.formState).toMatchObject({
+        isValid: false,
+        isDirty: true,
+        dirtyFields: { email: true },
+        touchedFields: { email: true },
+      });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: '' } });
+      });
+      expect(result.current.formState.isDirty).toBe(false);
+    });
+
+    test('should flag a field while its async validation runs, until the latest run ends', async () => {
+      const resolvers = [];
+      const options = {
+        username: {
+          validations: [{ isValid: () => new Promise(resolve => resolvers.push(resolve)), errorMessage: 'Taken' }],
+        },
+      };
+      const { result } = setupHook({ username: '' }, {}, options);
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'username', value: 'a' } });
+      });
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'username', value: 'ab' } });
+      });
+      expect(result.current.formState.isValidating).toBe(true);
+      expect(result.current.formState.validatingFields).toEqual({ username: true });
+
+      // The latest run ending clears the flag; the stale one ending later changes nothing
+      await act(async () => {
+        resolvers[1](true);
+      });
+      expect(result.current.formState.isValidating).toBe(false);
+
+      await act(async () => {
+        resolvers[0](false);
+      });
+      expect(result.current.formState.isValidating).toBe(false);
+      expect(result.current.errors.username).toBe('');
+    });
+
+    test('should report isSubmitting while handleSubmit runs and the outcome after', async () => {
+      let resolveCheck;
+      const options = {
+        email: { validations: [{ isValid: () => new Promise(resolve => { resolveCheck = resolve; }), errorMessage: 'Invalid' }] },
+      };
+      const { result } = setupHook(initialFormValues, {}, options);
+
+      let submission;
+      await act(async () => {
+        submission = result.current.handleSubmit({ preventDefault: jest.fn() });
+      });
+      expect(result.current.formState.isSubmitting).toBe(true);
+
+      await act(async () => {
+        resolveCheck(true);
+        await submission;
+      });
+      expect(result.current.formState).toMatchObject({ isSubmitting: false, isSubmitSuccessful: true, submitCount: 1 });
+    });
+
+    test('should not report success when the submitted form is invalid', async () => {
+      const { result } = setupHook();
+
+      await act(async () => {
+        await result.current.handleSubmit({ preventDefault: jest.fn() });
+      });
+      expect(result.current.formState).toMatchObject({ isSubmitSuccessful: false, submitCount: 1, isValid: false });
+    });
+  });
+
+  describe('handleSubmit callbacks', () => {
+    test('should pass the values of a valid form to onValid', async () => {
+      const onValid = jest.fn();
+      const onInvalid = jest.fn();
+      const event = { preventDefault: jest.fn() };
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' });
+
+      await act(async () => {
+        await result.current.handleSubmit(onValid, onInvalid)(event);
+      });
+
+      expect(event.preventDefault).toHaveBeenCalled();
+      expect(onValid).toHaveBeenCalledWith({ email: 'a@b.co', password: 'password123' });
+      expect(onInvalid).not.toHaveBeenCalled();
+      expect(result.current.formState.isSubmitSuccessful).toBe(true);
+    });
+
+    test('should pass the errors and values of an invalid form to onInvalid', async () => {
+      const onValid = jest.fn();
+      const onInvalid = jest.fn();
+      const { result } = setupHook({ email: 'nope', password: 'password123' });
+
+      await act(async () => {
+        await result.current.handleSubmit(onValid, onInvalid)();
+      });
+
+      expect(onValid).not.toHaveBeenCalled();
+      expect(onInvalid).toHaveBeenCalledWith({ email: 'Invalid email format' }, { email: 'nope', password: 'password123' });
+    });
+
+    test('should pass the values that were validated, not ones changed while validation was running', async () => {
+      let resolveCheck;
+      const options = {
+        email: { validations: [{ isValid: () => new Promise(resolve => { resolveCheck = resolve; }), errorMessage: 'Taken' }] },
+      };
+      const onValid = jest.fn();
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' }, {}, options);
+
+      let submission;
+      await act(async () => {
+        submission = result.current.handleSubmit(onValid)();
+      });
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'changed' } });
+      });
+      await act(async () => {
+        resolveCheck(true);
+        await submission;
+      });
+
+      expect(onValid).toHaveBeenCalledWith({ email: 'a@b.co', password: 'password123' });
+    });
+
+    test('should ignore a submit while another one is running', async () => {
+      let finishRequest;
+      const onValid = jest.fn(() => new Promise(resolve => { finishRequest = resolve; }));
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' });
+
+      let first;
+      await act(async () => {
+        first = result.current.handleSubmit(onValid)();
+        await result.current.handleSubmit(onValid)();
+      });
+      expect(result.current.formState.isSubmitting).toBe(true);
+
+      await act(async () => {
+        finishRequest();
+        await first;
+      });
+      expect(onValid).toHaveBeenCalledTimes(1);
+      expect(result.current.formState.isSubmitting).toBe(false);
+    });
+
+    test('should report an error thrown by onValid in formState.submitError', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failure = new Error('Network down');
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' });
+
+      await act(async () => {
+        await result.current.handleSubmit(async () => {
+          throw failure;
+        })();
+      });
+      expect(result.current.formState).toMatchObject({ submitError: failure, isSubmitSuccessful: false, isSubmitting: false });
+
+      // The next submit starts without the error
+      await act(async () => {
+        await result.current.handleSubmit(jest.fn())();
+      });
+      expect(result.current.formState.submitError).toBeUndefined();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('server errors', () => {
+    test('should keep server errors apart from validation errors', async () => {
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' });
+
+      await act(async () => {
+        result.current.setServerErrors({ errors: [{ pointer: '/email', detail: 'Already registered' }, { pointer: '/password', detail: 'Too common' }] });
+      });
+      expect(result.current.serverErrors).toEqual({ email: 'Already registered', password: 'Too common' });
+      expect(result.current.formState.isValid).toBe(false);
+      expect(result.current.getFieldProps('email')['aria-invalid']).toBe(true);
+
+      // Validation does not overwrite them
+      await act(async () => {
+        await result.current.validateAll();
+      });
+      expect(result.current.errors.email).toBe('');
+      expect(result.current.serverErrors.email).toBe('Already registered');
+    });
+
+    test('should clear the server error of a field when the user edits it', async () => {
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' });
+
+      await act(async () => {
+        result.current.setServerErrors({ email: ['Already registered'], password: ['Too common'] });
+      });
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'other@b.co' } });
+      });
+
+      expect(result.current.serverErrors).toEqual({ password: 'Too common' });
+    });
+
+    test('should accept a custom adapter', async () => {
+      const { result } = setupHook({ email: 'a@b.co', password: 'password123' });
+      const adapter = (payload) => Object.fromEntries(payload.map(({ key, text }) => [key, text]));
+
+      await act(async () => {
+        result.current.setServerErrors([{ key: 'email', text: 'Blocked domain' }], adapter);
+      });
+      expect(result.current.serverErrors).toEqual({ email: 'Blocked domain' });
+    });
+  });
+
+  describe('reset', () => {
+    test('reset should return to the default values and clear errors and touched state', async () => {
+      const { result } = setupHook({ email: '', password: '' });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'nope' } });
+        result.current.handleBlur({ target: { name: 'email', value: 'nope' } });
+      });
+      expect(result.current.errors.email).toBe('Invalid email format');
+
+      await act(async () => {
+        result.current.reset();
+      });
+      expect(result.current.formValues).toEqual({ email: '', password: '' });
+      expect(result.current.errors).toEqual({});
+      expect(result.current.formState).toMatchObject({ isDirty: false, touchedFields: {}, submitCount: 0 });
+    });
+
+    test('reset with values should make them the new default values', async () => {
+      const { result } = setupHook({ email: '', password: '' });
+
+      await act(async () => {
+        result.current.reset({ email: 'saved@b.co', password: 'password123' });
+      });
+      expect(result.current.formValues.email).toBe('saved@b.co');
+      expect(result.current.formState.isDirty).toBe(false);
+
+      await act(async () => {
+        result.current.reset({ email: 'draft@b.co', password: 'password123' }, { keepDirty: true });
+      });
+      expect(result.current.formState.dirtyFields).toEqual({ email: true });
+    });
+
+    test('reset with keepErrors should keep the errors', async () => {
+      const { result } = setupHook({ email: 'nope', password: '' });
+
+      await act(async () => {
+        await result.current.validateAll();
+      });
+      await act(async () => {
+        result.current.reset(undefined, { keepErrors: true });
+      });
+      expect(result.current.errors.email).toBe('Invalid email format');
+    });
+
+    test('resetField should restore one field and clear its state', async () => {
+      const { result } = setupHook(initialFormValues, {}, validationOptions, { defaultValues: { email: 'a@b.co', password: '' } });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'email', value: 'nope' } });
+        result.current.handleChange({ target: { name: 'password', value: 'short' } });
+      });
+      await act(async () => {
+        result.current.resetField('email');
+      });
+
+      expect(result.current.formValues).toEqual({ email: 'a@b.co', password: 'short' });
+      expect(result.current.errors).toEqual({ password: 'Password must be at least 8 characters' });
+      expect(result.current.formState.dirtyFields).toEqual({ password: true });
+    });
+
+    test('getDirtyValues should return only the changed fields', async () => {
+      const initialValues = {
+        name: 'Ada',
+        startDate: new Date('2024-01-01'),
+        address: { city: 'Paris', zip: '75001' },
+        items: [{ qty: 1 }, { qty: 2 }],
+      };
+      const { result } = setupHook(initialValues);
+
+      await act(async () => {
+        result.current.handleCustomChange('startDate', new Date('2024-01-01'));
+        result.current.handleChange({ target: { name: 'address.city', value: 'Lyon' } });
+        result.current.handleChange({ target: { name: 'items[1].qty', value: 3 } });
+      });
+
+      expect(result.current.getDirtyValues()).toEqual({
+        address: { city: 'Lyon' },
+        items: [{ qty: 1 }, { qty: 3 }],
+      });
+    });
+  });
+
+  describe('nested field paths', () => {
+    const nestedValidationOptions = {
+      'address.city': {
+        validations: [
+          {
+            isValid: (value) => value && value.trim().length > 0,
+            errorMessage: 'City is required',
+          },
+        ],
+      },
+      'items[].qty': {
+        validations: [
+          {
+            isValid: (value) => Number(value) > 0,
+            errorMessage: 'Quantity must be positive',
+          },
+        ],
+        relatedFields: ['items[].total'],
+      },
+      'items[].total': {
+        validations: [
+          {
+            isValid: (value) => Number(value) >= 0,
+            errorMessage: 'Total is invalid',
+          },
+        ],
+      },
+    };
+
+    test('handleChange should write nested values and key errors by path', async () => {
+      const { result } = setupHook(
+        { address: { city: 'Paris' }, items: [{ qty: 1 }, { qty: 2 }] },
+        {},
+        nestedValidationOptions
+      );
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'address.city', value: '' } });
+        result.current.handleChange({ target: { name: 'items[1].qty', value: '0' } });
+      });
+
+      expect(result.current.formValues.address.city).toBe('');
+      expect(result.current.formValues.items).toEqual([{ qty: 1 }, { qty: '0' }]);
+      expect(result.current.errors['address.city']).toBe('City is required');
+      expect(result.current.errors['items[1].qty']).toBe('Quantity must be positive');
+    });
+
+    test('validateAll should expand wildcard options over array items', async () => {
+      const { result } = setupHook(
+        { address: { city: 'Paris' }, items: [{ qty: 0 }, { qty: 2 }, { qty: -1 }] },
+        {},
+        nestedValidationOptions
+      );
+
+      let isValid;
+      await act(async () => {
+        isValid = await result.current.validateAll();
+      });
+
+      expect(isValid).toBe(false);
+      expect(result.current.errors['items[0].qty']).toBe('Quantity must be positive');
+      expect(result.current.errors['items[1].qty']).toBe('');
+      expect(result.current.errors['items[2].qty']).toBe('Quantity must be positive');
+    });
+
+    test('relatedFields should resolve wildcards to the same array item', async () => {
+      const { result } = setupHook(
+        { items: [{ qty: 1, total: -1 }, { qty: 1, total: 5 }] },
+        { 'items[0].total': 'Total is invalid', 'items[1].total': 'Total is invalid' },
+        nestedValidationOptions
+      );
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'items[1].qty', value: '2' } });
+      });
+
+      expect(result.current.errors['items[1].total']).toBe('');
+      expect(result.current.errors['items[0].total']).toBe('Total is invalid');
+    });
+
+    test('partialFnWithFields should resolve nested field references', () => {
+      const isSameCountry = partialFnWithFields((value, country) => value === country, '@address.country');
+      expect(isSameCountry('FR', { address: { country: 'FR' } })).toBe(true);
+      expect(isSameCountry('US', { address: { country: 'FR' } })).toBe(false);
+    });
+  });
+
+  test('bail should report the first failing rule instead of the last', async () => {
+    const { result } = renderHook(() => {
+      const [formValues, setFormValues] = useState({ email: '' });
+      const [errors, setErrors] = useState({});
+      const form = useForm({ formValues, setFormValues, errors, setErrors, validationOptions, bail: true });
+      return { errors, ...form };
+    });
+
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'email', value: ' ' } });
+    });
+
+    // Without bail, ' ' fails both rules and reports 'Invalid email format'
+    expect(result.current.errors.email).toBe('Email is required');
+  });
+
+  test('should compute dynamic error messages from the value and form values', async () => {
+    const dateValidationOptions = {
+      endDate: {
+        validations: [
+          {
+            isValid: (value, formValues) => value > formValues.startDate,
+            errorMessage: (value, formValues) => `End date must be after ${formValues.startDate}`,
+          },
+          {
+            isValid: (value) => value.length === 10,
+            errorMessage: (value, formValues, { length }) => `Use ${length} characters (you have ${value.length})`,
+            params: { length: 10 },
+          },
+        ],
+      },
+    };
+    const { result } = setupHook({ startDate: '2024-05-01', endDate: '' }, {}, dateValidationOptions);
+
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'endDate', value: '2024-04-30' } });
+    });
+    expect(result.current.errors.endDate).toBe('End date must be after 2024-05-01');
+
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'endDate', value: '2024-6-1' } });
+    });
+    expect(result.current.errors.endDate).toBe('Use 10 characters (you have 8)');
+  });
+
+  test('should finish validating when an errorMessage function throws', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { result } = setupHook({ email: '' }, {}, {
+      email: {
+        validations: [{
+          isValid: async () => false,
+          errorMessage: () => {
+            throw new Error('Broken message');
+          },
+        }],
+      },
+    });
+
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'email', value: 'a' } });
+    });
+    expect(result.current.errors.email).toBe('Validation failed');
+    expect(result.current.formState.isValidating).toBe(false);
+    console.error.mockRestore();
+  });
+
+  test('warning rules should be reported in warnings without blocking submit', async () => {
+    validationOptions.email.validations.push({
+      isValid: (value) => !value || value.endsWith('.com'),
+      errorMessage: 'This email domain looks unusual',
+      severity: 'warning',
+    });
+    const { result } = setupHook({ email: 'test@example.xyz', password: 'password123' });
+
+    let isValid;
+    await act(async () => {
+      isValid = await result.current.handleSubmit({ preventDefault: jest.fn() });
+    });
+
+    expect(isValid).toBe(true);
+    expect(result.current.errors.email).toBe('');
+    expect(result.current.warnings.email).toBe('This email domain looks unusual');
+
+    await act(async () => {
+      result.current.handleChange({ target: { name: 'email', value: 'test@example.com' } });
+    });
+
+    expect(result.current.warnings.email).toBe('');
+  });
+
+  describe('criteriaMode', () => {
+    const passwordOptions = {
+      password: {
+        validations: [
+          { isValid: (value) => value.length >= 8, errorMessage: 'At least 8 characters', key: 'minLength' },
+          { isValid: (value) => /[A-Z]/.test(value), errorMessage: 'One uppercase letter', key: 'uppercase' },
+          { isValid: (value) => /\d/.test(value), errorMessage: 'One number' },
+        ],
+      },
+    };
+
+    test('all should collect every failing message in rule order', async () => {
+      const { result } = setupHook({ password: '' }, {}, passwordOptions, { criteriaMode: 'all' });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'abc' } });
+      });
+      expect(result.current.errors.password).toEqual(['At least 8 characters', 'One uppercase letter', 'One number']);
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'Abcdefgh1' } });
+      });
+      expect(result.current.errors.password).toEqual([]);
+    });
+
+    test('byRule should map rule keys to messages, defaulting to the rule index', async () => {
+      const { result } = setupHook({ password: '' }, {}, passwordOptions, { criteriaMode: 'byRule' });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'abcdefgh' } });
+      });
+      expect(result.current.errors.password).toEqual({ uppercase: 'One uppercase letter', 2: 'One number' });
+    });
+
+    test('empty error arrays should not trigger related field validation', async () => {
+      const isValid = jest.fn(() => true);
+      const relatedOptions = {
+        password: { validations: passwordOptions.password.validations, relatedFields: ['confirm'] },
+        confirm: { validations: [{ isValid, errorMessage: 'Passwords must match' }] },
+      };
+      const { result } = renderHook(() => {
+        const [formValues, setFormValues] = useState({ password: '', confirm: '' });
+        const [errors, setErrors] = useState({ confirm: [] });
+        return useForm({ formValues, setFormValues, errors, setErrors, validationOptions: relatedOptions, criteriaMode: 'all' });
+      });
+
+      await act(async () => {
+        result.current.handleChange({ target: { name: 'password', value: 'Abcdefgh1' } });
+      });
+      expect(isValid).not.toHaveBeenCalled();
+    });
+  });
+
   test('validation should clear errors when input becomes valid', async () => {
     const { result } = setupHook();
 
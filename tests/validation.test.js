@@ -0,0 +1,270 @@
+import { validateField, validateForm } from '../src/validation';
+import { isRequired, isValidEmail, hasMinItems, hasMinLength, withRule } from '../src/validators';
+
+describe('Validation engine', () => {
+  const validationOptions = {
+    email: {
+      validations: [
+        { isValid: isRequired, errorMessage: 'Email is required' },
+        { isValid: isValidEmail, errorMessage: 'Invalid email format' },
+      ],
+    },
+    items: {
+      validations: [{ isValid: hasMinItems(1), errorMessage: 'Add at least one item' }],
+    },
+    'items[].qty': {
+      validations: [{ isValid: (value) => value > 0, errorMessage: 'Quantity must be positive' }],
+    },
+    dateInput: {
+      nestedFieldOf: 'selectedDate',
+    },
+    selectedDate: {
+      validations: [{ isValid: isRequired, errorMessage: 'Date is required' }],
+    },
+  };
+
+  describe('validateField', () => {
+    test('should return the error of a failing field', async () => {
+      const result = await validateField('email', { email: 'nope' }, validationOptions);
+      expect(result).toEqual({ name: 'email', isValid: false, error: 'Invalid email format', warning: '' });
+    });
+
+    test('should validate a value passed in place of the stored one', async () => {
+      const result = await validateField('email', { email: '' }, validationOptions, { value: 'a@b.co' });
+      expect(result.isValid).toBe(true);
+    });
+
+    test('should validate the main field of a nestedFieldOf field', async () => {
+      const result = await validateField('dateInput', { dateInput: '10:00' }, validationOptions);
+      expect(result).toEqual({ name: 'selectedDate', isValid: false, error: 'Date is required', warning: '' });
+    });
+
+    test('should use wildcard options for array items', async () => {
+      const result = await validateField('items.1.qty', { items: [{ qty: 1 }, { qty: 0 }] }, validationOptions);
+      expect(result).toEqual({ name: 'items[1].qty', isValid: false, error: 'Quantity must be positive', warning: '' });
+    });
+
+    test('should report every failing rule with criteriaMode all', async () => {
+      const result = await validateField('email', { email: '' }, validationOptions, { criteriaMode: 'all' });
+      expect(result.error).toEqual(['Email is required']);
+
+      const valid = await validateField('email', { email: 'a@b.co' }, validationOptions, { criteriaMode: 'byRule' });
+      expect(valid).toEqual({ name: 'email', isValid: true, error: {}, warning: {} });
+    });
+
+    test('should call onPending only when a rule returns a promise', async () => {
+      const onPending = jest.fn();
+      await validateField('email', { email: 'a@b.co' }, validationOptions, { onPending });
+      expect(onPending).not.toHaveBeenCalled();
+
+      const asyncOptions = { username: { validations: [{ isValid: async () => true, errorMessage: 'Taken' }] } };
+      await validateField('username', { username: 'ada' }, asyncOptions, { onPending });
+      expect(onPending).toHaveBeenCalledTimes(1);
+    });
+
+    describe('bail and skipIfInvalid', () => {
+      let checkServer;
+      let options;
+
+      beforeEach(() => {
+        checkServer = jest.fn(async () => true);
+        options = {
+          username: {
+            validations: [
+              { isValid: isRequired, errorMessage: 'Username is required' },
+              { isValid: (value) => !value || value.length >= 3, errorMessage: 'Too short' },
+              { isValid: (value) => /^[a-z]*$/.test(value || ''), errorMessage: 'Lowercase only' },
+              { isValid: checkServer, errorMessage: 'Username is taken', skipIfInvalid: true },
+            ],
+          },
+        };
+      });
+
+      test('bail should stop at and report the first failing rule', async () => {
+        const result = await validateField('username', { username: 'A' }, options, { bail: true });
+        expect(result.error).toBe('Too short');
+        expect(checkServer).not.toHaveBeenCalled();
+      });
+
+      test('a field-level bail should override the form default', async () => {
+        options.username.bail = false;
+        const result = await validateField('username', { username: 'A' }, options, { bail: true, criteriaMode: 'all' });
+        expect(result.error).toEqual(['Too short', 'Lowercase only']);
+      });
+
+      test('skipIfInvalid rules should only run once earlier rules pass', async () => {
+        await validateField('username', { username: 'A' }, options);
+        expect(checkServer).not.toHaveBeenCalled();
+
+        await validateField('username', { username: 'alice' }, options);
+        expect(checkServer).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    test('should report warning rules apart from errors', async () => {
+      const options = {
+        password: {
+          validations: [
+            { isValid: isRequired, errorMessage: 'Password is required' },
+            { isValid: (value) => !value || value.length >= 12, errorMessage: 'Weak but allowed', severity: 'warning' },
+          ],
+        },
+      };
+
+      const result = await validateField('password', { password: 'secret' }, options);
+      expect(result).toEqual({ name: 'password', isValid: true, error: '', warning: 'Weak but allowed' });
+
+      const form = await validateForm({ password: '' }, options);
+      expect(form).toEqual({ isValid: false, errors: { password: 'Password is required' }, warnings: { password: '' } });
+    });
+
+    test('should await async validators', async () => {
+      const options = {
+        username: {
+          validations: [{ isValid: async (value) => value !== 'taken', errorMessage: 'Username is taken' }],
+        },
+      };
+      const result = await validateField('username', { username: 'taken' }, options);
+      expect(result.error).toBe('Username is taken');
+    });
+
+    test('should stop running rules once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const second = jest.fn(() => true);
+      const options = {
+        username: {
+          validations: [
+            { isValid: () => { controller.abort(); return false; }, errorMessage: 'First' },
+            { isValid: second, errorMessage: 'Second' },
+          ],
+        },
+      };
+
+      await validateField('username', {}, options, { signal: controller.signal });
+      expect(second).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conditional fields', () => {
+    test('should only validate a field while its when predicate holds', async () => {
+      const options = { state: { validations: [isRequired], when: values => values.country === 'US' } };
+
+      expect((await validateField('state', { country: 'CA', state: '' }, options)).isValid).toBe(true);
+      expect((await validateField('state', { country: 'US', state: '' }, options)).isValid).toBe(false);
+    });
+
+    test('should not run the rules of a disabled field', async () => {
+      const isValid = jest.fn(() => false);
+      const result = await validateField('email', { email: '' }, { email: { validations: [{ isValid, errorMessage: 'Bad' }] } }, { disabled: true });
+
+      expect(isValid).not.toHaveBeenCalled();
+      expect(result).toEqual({ name: 'email', isValid: true, error: '', warning: '' });
+    });
+  });
+
+  describe('default messages', () => {
+    test('should accept built-in validators without a wrapping Validation', async () => {
+      const options = { username: { validations: [isRequired, hasMinLength(3)] } };
+
+      expect((await validateField('username', { username: '' }, options)).error).toBe('This field is required');
+      expect((await validateField('username', { username: 'ab' }, options)).error).toBe('Must be at least 3 characters');
+    });
+
+    test('should use the default message of a Validation that sets none', async () => {
+      const options = { username: { validations: [{ isValid: hasMinLength(3), key: 'min' }] } };
+      const result = await validateField('username', { username: 'ab' }, options, { criteriaMode: 'byRule' });
+      expect(result.error).toEqual({ min: 'Must be at least 3 characters' });
+
+      const short = { username: { validations: [{ isValid: hasMinLength(5), key: 'min', errorMessage: 'Too short' }] } };
+      expect((await validateField('username', { username: 'abc' }, short)).error).toBe('Too short');
+    });
+
+    test('should fall back to the message of a custom rule', async () => {
+      const isSlug = withRule((value) => /^[a-z-]+$/.test(value), { name: 'isSlug', message: '{value} is not a slug' });
+      const result = await validateField('slug', { slug: 'No' }, { slug: { validations: [isSlug] } });
+      expect(result.error).toBe('No is not a slug');
+    });
+
+    test('should fill {label} with the label of the field', async () => {
+      const options = {
+        email: {
+          label: 'Email',
+          validations: [
+            { isValid: isRequired, errorMessage: '{label} is required' },
+            { isValid: isValidEmail, errorMessage: (value, formValues, params) => `${params.label} looks wrong` },
+          ],
+        },
+      };
+
+      expect((await validateField('email', { email: '' }, options)).error).toBe('Email is required');
+      expect((await validateField('email', { email: 'nope' }, options)).error).toBe('Email looks wrong');
+    });
+  });
+
+  describe('validateForm', () => {
+    test('should validate every field and report all errors', async () => {
+      const result = await validateForm({ email: '', items: [{ qty: 2 }, { qty: 0 }] }, validationOptions);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual({
+        email: 'Email is required',
+        items: '',
+        'items[0].qty': '',
+        'items[1].qty': 'Quantity must be positive',
+        selectedDate: 'Date is required',
+      });
+    });
+
+    test('should skip fields whose when predicate is false, and fields that are not enabled', async () => {
+      const options = {
+        country: { validations: [isRequired] },
+        state: { validations: [isRequired], when: values => values.country === 'US' },
+        fax: { validations: [isRequired], enabled: false },
+      };
+
+      const abroad = await validateForm({ country: 'FR', state: '', fax: '' }, options);
+      expect(abroad.isValid).toBe(true);
+      expect(abroad.errors).toEqual({ country: '', state: '', fax: '' });
+
+      const home = await validateForm({ country: 'US', state: '', fax: '' }, options);
+      expect(home.isValid).toBe(false);
+      expect(home.errors.state).toBe('This field is required');
+    });
+
+    test('should validate the main field of nestedFieldOf fields once', async () => {
+      const isValid = jest.fn(() => true);
+      await validateForm({}, { dateInput: { nestedFieldOf: 'date' }, date: { validations: [{ isValid }] } });
+
+      expect(isValid).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject with an AbortError once aborted', async () => {
+      const controller = new AbortController();
+      const options = {
+        email: { validations: [() => { controller.abort(); return false; }] },
+        name: { validations: [isRequired] },
+      };
+
+      await expect(validateForm({}, options, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should return isValid true for valid values', async () => {
+      const result = await validateForm(
+        { email: 'a@b.co', items: [{ qty: 1 }], selectedDate: '2024-01-01' },
+        validationOptions,
+      );
+      expect(result.isValid).toBe(true);
+    });
+  });
+
+  test('the core entry point should not import React', () => {
+    jest.isolateModules(() => {
+      jest.doMock('react', () => {
+        throw new Error('React must not be imported');
+      });
+      const core = require('../src/core');
+      expect(typeof core.validateForm).toBe('function');
+      expect(typeof core.isRequired).toBe('function');
+    });
+  });
+});
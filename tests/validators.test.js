@@ -35,6 +35,9 @@ import {
   isRequiredIf,
   isInTheFuture,
   isAsciiAlphanumeric,
+  hasMinItems,
+  hasMaxItems,
+  withRule,
 } from '../src/validators';
 
 describe('Basic Validators', () => {
@@ -373,11 +376,12 @@ describe('Address Validators', () => {
     test('accepts valid Canadian postal codes', () => {
       expect(isValidCanadianPostalCode('K1A 0A6')).toBe(true);
       expect(isValidCanadianPostalCode('M5V 3A8')).toBe(true);
+      expect(isValidCanadianPostalCode('K1A0A6')).toBe(true);
       expect(isValidCanadianPostalCode('')).toBe(true);
     });
 
     test('rejects invalid Canadian postal codes', () => {
-      expect(isValidCanadianPostalCode('K1A0A6')).toBe(false);
+      expect(isValidCanadianPostalCode('K1A  0A6')).toBe(false);
       expect(isValidCanadianPostalCode('K1A 0A')).toBe(false);
       expect(isValidCanadianPostalCode('12A 3B4')).toBe(false);
     });
@@ -507,6 +511,32 @@ describe('Credit Card Validators', () => {
   });
 });
 
+describe('Array Validators', () => {
+  describe('hasMinItems', () => {
+    test('validates arrays with enough items', () => {
+      expect(hasMinItems(1)(['a'])).toBe(true);
+      expect(hasMinItems(2)(['a', 'b', 'c'])).toBe(true);
+      expect(hasMinItems(1)(undefined)).toBe(true);
+    });
+
+    test('rejects arrays with too few items', () => {
+      expect(hasMinItems(1)([])).toBe(false);
+      expect(hasMinItems(3)(['a', 'b'])).toBe(false);
+    });
+  });
+
+  describe('hasMaxItems', () => {
+    test('validates arrays within the limit', () => {
+      expect(hasMaxItems(2)(['a', 'b'])).toBe(true);
+      expect(hasMaxItems(2)([])).toBe(true);
+    });
+
+    test('rejects arrays over the limit', () => {
+      expect(hasMaxItems(2)(['a', 'b', 'c'])).toBe(false);
+    });
+  });
+});
+
 describe('Color Validators', () => {
   describe('isValidHexColor', () => {
     test('validates hex color codes correctly', () => {
@@ -578,3 +608,24 @@ describe('Conditional Validators', () => {
     });
   });
 });
+
+describe('Rule metadata', () => {
+  test('built-in validators carry their name and params', () => {
+    expect(isRequired.rule).toEqual({ name: 'isRequired', params: {}, message: undefined });
+    expect(hasMinLength(3).rule).toMatchObject({ name: 'hasMinLength', params: { count: 3 } });
+    expect(isInRange(1, 10).rule).toMatchObject({ name: 'isInRange', params: { min: 1, max: 10 } });
+    expect(isEqual('yes').rule).toMatchObject({ name: 'isEqual', params: { expected: 'yes' } });
+  });
+
+  test('metadata does not change the result of the validator', () => {
+    expect(hasMinLength(3)('ab')).toBe(false);
+    expect(isRequiredIf(true)('')).toBe(false);
+    expect(isEqual('yes')('yes')).toBe(true);
+  });
+
+  test('withRule attaches metadata to a custom validator', () => {
+    const isSlug = withRule((value) => /^[a-z-]+$/.test(value), { name: 'isSlug', message: 'Use lowercase letters and dashes' });
+    expect(isSlug('a-slug')).toBe(true);
+    expect(isSlug.rule).toEqual({ name: 'isSlug', params: {}, message: 'Use lowercase letters and dashes' });
+  });
+});